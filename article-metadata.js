@@ -0,0 +1,192 @@
+// article-metadata.js - Extract article metadata from publisher pages (JSON-LD, OpenGraph, Twitter cards, meta tags)
+const cheerio = require('cheerio');
+const { URL } = require('url');
+
+const ARTICLE_TYPES = [
+    'NewsArticle', 'Article', 'ReportageNewsArticle', 'AnalysisNewsArticle', 'OpinionNewsArticle',
+    'BackgroundNewsArticle', 'ReviewNewsArticle', 'LiveBlogPosting', 'BlogPosting', 'Report'
+];
+
+const FIELDS = ['title', 'description', 'authors', 'section', 'publishedAt', 'modifiedAt', 'image', 'canonicalUrl', 'keywords', 'language'];
+
+class ArticleMetadataExtractor {
+    /**
+     * Extract metadata from an article page. Sources are tried in order of reliability:
+     * JSON-LD, OpenGraph and article:* tags, Twitter cards, plain meta tags, then the <html lang> attribute.
+     * The first source that provides a field wins and is recorded in provenance.
+     * @param {string} html - Page HTML
+     * @param {string} pageUrl - URL the page was fetched from, used to resolve relative URLs
+     * @returns {Object} { title, description, authors, section, publishedAt, modifiedAt, image, canonicalUrl, keywords, language, provenance }
+     */
+    extract(html, pageUrl) {
+        const $ = cheerio.load(html || '');
+        const metadata = {};
+        const provenance = {};
+
+        const sources = [
+            ['json-ld', this.fromJsonLd($, pageUrl)],
+            ['opengraph', this.fromOpenGraph($, pageUrl)],
+            ['twitter', this.fromTwitter($, pageUrl)],
+            ['meta', this.fromMetaTags($, pageUrl)],
+            ['html', this.fromHtml($)]
+        ];
+
+        for (const field of FIELDS) {
+            metadata[field] = field === 'authors' || field === 'keywords' ? [] : null;
+            for (const [source, values] of sources) {
+                const value = values[field];
+                if (value !== undefined && value !== null && value !== '' && !(Array.isArray(value) && value.length === 0)) {
+                    metadata[field] = value;
+                    provenance[field] = source;
+                    break;
+                }
+            }
+        }
+
+        metadata.provenance = provenance;
+        return metadata;
+    }
+
+    fromJsonLd($, pageUrl) {
+        const nodes = [];
+        $('script[type="application/ld+json"]').each((_, element) => {
+            try {
+                const data = JSON.parse($(element).contents().text().trim());
+                this.collectJsonLdNodes(data, nodes);
+            } catch (error) {
+                // Publishers ship broken JSON-LD surprisingly often; skip the block
+            }
+        });
+
+        const article = nodes.find(node => [].concat(node['@type'] || []).some(type => ARTICLE_TYPES.includes(type)));
+        if (!article) return {};
+
+        const mainEntity = article.mainEntityOfPage;
+        return {
+            title: this.text(article.headline || article.name),
+            description: this.text(article.description),
+            authors: this.names(article.author),
+            section: this.text([].concat(article.articleSection || [])[0]),
+            publishedAt: this.date(article.datePublished || article.dateCreated),
+            modifiedAt: this.date(article.dateModified),
+            image: this.absolute(this.imageUrl(article.image), pageUrl),
+            canonicalUrl: this.absolute(typeof mainEntity === 'string' ? mainEntity : (mainEntity && (mainEntity['@id'] || mainEntity.url)) || article.url, pageUrl),
+            keywords: this.list(article.keywords),
+            language: this.language(typeof article.inLanguage === 'object' && article.inLanguage ? article.inLanguage.alternateName || article.inLanguage.name : article.inLanguage)
+        };
+    }
+
+    collectJsonLdNodes(data, nodes) {
+        if (Array.isArray(data)) {
+            data.forEach(item => this.collectJsonLdNodes(item, nodes));
+        } else if (data && typeof data === 'object') {
+            nodes.push(data);
+            if (data['@graph']) {
+                this.collectJsonLdNodes(data['@graph'], nodes);
+            }
+        }
+    }
+
+    fromOpenGraph($, pageUrl) {
+        const property = name => $(`meta[property="${name}"]`).first().attr('content');
+        const all = name => $(`meta[property="${name}"]`).map((_, element) => $(element).attr('content')).get();
+
+        // article:author is often a profile URL rather than a name
+        const authors = all('article:author').filter(value => !/^https?:\/\//i.test(value));
+        const locale = property('og:locale');
+
+        return {
+            title: this.text(property('og:title')),
+            description: this.text(property('og:description')),
+            authors: this.names(authors),
+            section: this.text(property('article:section')),
+            publishedAt: this.date(property('article:published_time')),
+            modifiedAt: this.date(property('article:modified_time') || property('og:updated_time')),
+            image: this.absolute(property('og:image:secure_url') || property('og:image'), pageUrl),
+            canonicalUrl: this.absolute(property('og:url'), pageUrl),
+            keywords: this.list(all('article:tag')),
+            language: this.language(locale)
+        };
+    }
+
+    fromTwitter($, pageUrl) {
+        const name = key => $(`meta[name="${key}"]`).first().attr('content') || $(`meta[property="${key}"]`).first().attr('content');
+        return {
+            title: this.text(name('twitter:title')),
+            description: this.text(name('twitter:description')),
+            image: this.absolute(name('twitter:image') || name('twitter:image:src'), pageUrl)
+        };
+    }
+
+    fromMetaTags($, pageUrl) {
+        const name = key => $(`meta[name="${key}"]`).first().attr('content');
+        return {
+            title: this.text($('title').first().text()),
+            description: this.text(name('description')),
+            authors: this.names(this.list(name('author'))),
+            section: this.text(name('section') || name('article.section')),
+            publishedAt: this.date(name('pubdate') || name('publish-date') || name('date') || name('parsely-pub-date') ||
+                $('meta[itemprop="datePublished"]').first().attr('content')),
+            modifiedAt: this.date(name('last-modified') || $('meta[itemprop="dateModified"]').first().attr('content')),
+            canonicalUrl: this.absolute($('link[rel="canonical"]').first().attr('href'), pageUrl),
+            keywords: this.list(name('keywords') || name('news_keywords')),
+            language: this.language($('meta[http-equiv="content-language"]').first().attr('content'))
+        };
+    }
+
+    fromHtml($) {
+        return {
+            language: this.language($('html').attr('lang'))
+        };
+    }
+
+    text(value) {
+        if (typeof value !== 'string') return null;
+        const trimmed = value.replace(/\s+/g, ' ').trim();
+        return trimmed || null;
+    }
+
+    names(value) {
+        const names = [].concat(value || [])
+            .map(author => (typeof author === 'string' ? author : author && author.name))
+            .map(author => this.text(Array.isArray(author) ? author[0] : author))
+            .filter(Boolean);
+        return [...new Set(names)];
+    }
+
+    list(value) {
+        const items = Array.isArray(value) ? value : (typeof value === 'string' ? value.split(',') : []);
+        return [...new Set(items.map(item => this.text(item)).filter(Boolean))];
+    }
+
+    date(value) {
+        if (!value) return null;
+        const parsed = new Date(value);
+        return isNaN(parsed) ? null : parsed.toISOString();
+    }
+
+    // en_US, en-us and "English" style values → BCP 47-ish "en-US"/"en"
+    language(value) {
+        const match = this.text(value) && value.trim().match(/^([a-z]{2,3})(?:[-_]([a-z]{2}))?$/i);
+        if (!match) return null;
+        return match[2] ? `${match[1].toLowerCase()}-${match[2].toUpperCase()}` : match[1].toLowerCase();
+    }
+
+    imageUrl(image) {
+        const first = [].concat(image || [])[0];
+        if (!first) return null;
+        return typeof first === 'string' ? first : first.url || first.contentUrl || null;
+    }
+
+    absolute(value, pageUrl) {
+        if (typeof value !== 'string' || !value.trim()) return null;
+        try {
+            const url = new URL(value.trim(), pageUrl);
+            return ['http:', 'https:'].includes(url.protocol) ? url.toString() : null;
+        } catch (error) {
+            return null;
+        }
+    }
+}
+
+module.exports = ArticleMetadataExtractor;
@@ -0,0 +1,124 @@
+// capture-profiles.js - Per-domain screenshot settings for publishers with stubborn overlays or lazy-loaded pages
+const fs = require('fs-extra');
+const path = require('path');
+const { URL } = require('url');
+
+const BUNDLED_PROFILES = path.join(__dirname, 'capture-profiles.json');
+
+class CaptureProfileRegistry {
+    /**
+     * @param {Array<Object>} [profiles] - Entries: { domain, domains?, viewport?: { width, height }, delay?,
+     *   hideSelectors?, clickSelectors?, scrollToLoad?, css?, script? }
+     */
+    constructor(profiles = []) {
+        this.profiles = new Map();
+        profiles.forEach(entry => this.add(entry));
+    }
+
+    /**
+     * Build the registry used by ScreenshotService. The bundled capture-profiles.json is loaded first;
+     * extra files or entries override bundled profiles with the same domain. false gives an empty registry.
+     * @param {CaptureProfileRegistry|string|Array<string|Object>|false|null} value
+     * @returns {CaptureProfileRegistry}
+     */
+    static from(value) {
+        if (value instanceof CaptureProfileRegistry) return value;
+        if (value === false) return new CaptureProfileRegistry();
+
+        const registry = new CaptureProfileRegistry().loadFile(BUNDLED_PROFILES);
+        const extras = value ? (Array.isArray(value) ? value : [value]) : [];
+        extras.forEach(extra => {
+            if (typeof extra === 'string') {
+                registry.loadFile(extra);
+            } else {
+                registry.add(extra);
+            }
+        });
+        return registry;
+    }
+
+    /**
+     * Merge a profile file: { "profiles": [ ... ] } or a bare array of entries
+     * @param {string} filePath
+     * @returns {CaptureProfileRegistry} this, for chaining
+     */
+    loadFile(filePath) {
+        const data = fs.readJsonSync(filePath);
+        const entries = Array.isArray(data) ? data : data.profiles;
+        if (!Array.isArray(entries)) {
+            throw new Error(`Capture profiles ${filePath} must contain a "profiles" array`);
+        }
+        entries.forEach((entry, i) => {
+            try {
+                this.add(entry);
+            } catch (error) {
+                throw new Error(`Capture profiles ${filePath}, entry ${i}: ${error.message}`);
+            }
+        });
+        return this;
+    }
+
+    /**
+     * Add or replace a profile (keyed by its primary domain)
+     * @param {Object} entry
+     * @returns {Object} Normalized profile
+     */
+    add(entry) {
+        if (!entry || !entry.domain) {
+            throw new Error('Capture profile needs a domain');
+        }
+        const viewport = entry.viewport || null;
+        if (viewport && !(viewport.width > 0 && viewport.height > 0)) {
+            throw new Error('Capture profile viewport needs a positive width and height');
+        }
+
+        const domain = entry.domain.toLowerCase().replace(/^www\./, '');
+        const profile = {
+            domain,
+            domains: (entry.domains || []).map(value => value.toLowerCase().replace(/^www\./, '')),
+            viewport: viewport ? { width: Number(viewport.width), height: Number(viewport.height) } : null,
+            delay: entry.delay !== undefined ? Number(entry.delay) : null,
+            hideSelectors: [].concat(entry.hideSelectors || []),
+            clickSelectors: [].concat(entry.clickSelectors || []),
+            scrollToLoad: Boolean(entry.scrollToLoad),
+            css: entry.css || '',
+            script: entry.script || ''
+        };
+        this.profiles.set(domain, profile);
+        return profile;
+    }
+
+    get size() {
+        return this.profiles.size;
+    }
+
+    /**
+     * Most specific profile for a page URL (or hostname): subdomains use their parent domain's profile
+     * @param {string} urlOrHost
+     * @returns {Object|null}
+     */
+    match(urlOrHost) {
+        let host;
+        try {
+            host = new URL(urlOrHost).hostname;
+        } catch (error) {
+            host = String(urlOrHost || '');
+        }
+        const labels = host.toLowerCase().replace(/\.$/, '').split('.');
+        for (let i = 0; i < labels.length - 1; i++) {
+            const candidate = labels.slice(i).join('.');
+            for (const profile of this.profiles.values()) {
+                if (profile.domain === candidate || profile.domains.includes(candidate)) return profile;
+            }
+        }
+        return null;
+    }
+
+    toJSON() {
+        return {
+            profiles: [...this.profiles.values()].map(profile => ({ ...profile }))
+        };
+    }
+}
+
+module.exports = { CaptureProfileRegistry };
@@ -0,0 +1,112 @@
+// concurrency.js - Small helpers for running async work with a bounded number of workers
+
+/**
+ * Map over items with at most `limit` workers in flight. Results keep the input order.
+ * @param {Array} items - Items to process
+ * @param {number} limit - Maximum number of concurrent workers
+ * @param {Function} worker - async (item, index) => result
+ * @returns {Promise<Array>} Results in input order
+ */
+async function mapWithConcurrency(items, limit, worker) {
+    const results = new Array(items.length);
+    let nextIndex = 0;
+
+    const runners = Array.from({ length: Math.max(1, Math.min(limit, items.length)) }, async () => {
+        while (nextIndex < items.length) {
+            const index = nextIndex++;
+            results[index] = await worker(items[index], index);
+        }
+    });
+
+    await Promise.all(runners);
+    return results;
+}
+
+/**
+ * Worker pool with a global limit and a per-key limit (e.g. per host). Outcomes are yielded in
+ * completion order; stop() stops launching new work and aborts the signals of work in flight.
+ */
+class WorkerPool {
+    /**
+     * @param {Object} [options]
+     * @param {number} [options.concurrency] - Maximum workers in flight (default 4)
+     * @param {number} [options.perKeyConcurrency] - Maximum workers in flight per key (default unlimited)
+     * @param {Function} [options.key] - (item) => key the per-key limit applies to
+     */
+    constructor(options = {}) {
+        this.concurrency = Math.max(1, options.concurrency || 4);
+        this.perKeyConcurrency = Math.max(1, options.perKeyConcurrency || Infinity);
+        this.key = options.key || (() => '');
+        this.stopped = false;
+        this.controllers = new Set();
+    }
+
+    /**
+     * @param {Array} items
+     * @param {Function} worker - async (item, index, signal) => value
+     * @param {Object} [options]
+     * @param {Function} [options.canStart] - (inFlight) => boolean, checked before each launch
+     * @returns {AsyncGenerator<Object>} { item, index, value } or { item, index, error, cancelled }
+     */
+    async *run(items, worker, options = {}) {
+        const canStart = options.canStart || (() => true);
+        const pending = items.map((item, index) => ({ item, index, key: this.key(item) }));
+        const active = new Map();
+        const perKey = new Map();
+        const completed = [];
+        let wake = null;
+
+        const launch = () => {
+            while (!this.stopped && active.size < this.concurrency && canStart(active.size)) {
+                const position = pending.findIndex(task => (perKey.get(task.key) || 0) < this.perKeyConcurrency);
+                if (position === -1) return;
+                const [task] = pending.splice(position, 1);
+                const controller = new AbortController();
+                this.controllers.add(controller);
+                perKey.set(task.key, (perKey.get(task.key) || 0) + 1);
+
+                const promise = Promise.resolve()
+                    .then(() => worker(task.item, task.index, controller.signal))
+                    .then(
+                        value => ({ item: task.item, index: task.index, value }),
+                        error => ({ item: task.item, index: task.index, error, cancelled: controller.signal.aborted })
+                    )
+                    .then(outcome => {
+                        active.delete(task.index);
+                        this.controllers.delete(controller);
+                        perKey.set(task.key, perKey.get(task.key) - 1);
+                        completed.push(outcome);
+                        if (wake) wake();
+                    });
+                active.set(task.index, promise);
+            }
+        };
+
+        try {
+            launch();
+            while (active.size > 0 || completed.length > 0) {
+                if (completed.length === 0) {
+                    await new Promise(resolve => { wake = resolve; });
+                    wake = null;
+                    continue;
+                }
+                yield completed.shift();
+                launch();
+            }
+        } finally {
+            // The consumer stopped early: nothing may keep running after the loop
+            this.stop();
+            await Promise.all(active.values());
+        }
+    }
+
+    stop() {
+        this.stopped = true;
+        this.controllers.forEach(controller => controller.abort());
+    }
+}
+
+module.exports = {
+    mapWithConcurrency,
+    WorkerPool
+};
@@ -0,0 +1,214 @@
+// content-extractor.js - Readability-style article body extraction with cheerio
+const cheerio = require('cheerio');
+const { URL } = require('url');
+
+// Elements that never hold article text
+const STRIP_TAGS = 'script, style, noscript, iframe, object, embed, form, button, input, select, textarea, svg, canvas, nav, aside, footer, template, dialog';
+
+// Class/id hints, same idea as Mozilla Readability
+const UNLIKELY = /-ad-|ad-break|adbox|advert|agegate|banner|breadcrumb|combx|comment|community|consent|cookie|cover-wrap|disqus|extra|gdpr|legends|menu|modal|newsletter|outbrain|pager|pagination|paywall|popup|promo|related|remark|replies|rss|share|shoutbox|sidebar|skyscraper|social|sponsor|subscribe|supplemental|taboola|tags|teaser|toolbar|widget/i;
+const MAYBE = /and|article|body|column|content|main|post|story|text|entry|shadow/i;
+const POSITIVE = /article|body|content|entry|hentry|h-entry|main|page|post|story|text|blog/i;
+const NEGATIVE = /-ad-|hidden|^hid$| hid$| hid |^hid |banner|combx|comment|com-|contact|footer|gdpr|masthead|media|meta|outbrain|promo|related|scroll|share|shoutbox|sidebar|skyscraper|sponsor|shopping|tags|widget|byline|caption/i;
+
+class ContentExtractor {
+    /**
+     * @param {Object} [options]
+     * @param {number} [options.minLength] - Minimum body length in characters to count as readable (default 250)
+     * @param {number} [options.minParagraphLength] - Shortest paragraph that contributes to scoring (default 25)
+     */
+    constructor(options = {}) {
+        this.minLength = options.minLength || 250;
+        this.minParagraphLength = options.minParagraphLength || 25;
+    }
+
+    /**
+     * Extract the main article body from a page
+     * @param {string} html - Page HTML
+     * @param {string} pageUrl - URL the page was fetched from, used to resolve image URLs
+     * @returns {Object|null} { title, text, paragraphs, headings: [{ level, text }], images: [{ src, alt, caption }], wordCount },
+     *   or null when no block with enough text was found (e.g. paywall, consent wall, script-rendered page)
+     */
+    extract(html, pageUrl) {
+        const $ = cheerio.load(html || '');
+        const title = this.clean($('h1').first().text()) || this.clean($('title').first().text()) || null;
+
+        $(STRIP_TAGS).remove();
+        $('[hidden], [aria-hidden="true"], [role="navigation"], [role="complementary"], [role="dialog"]').remove();
+        $('*').each((_, element) => {
+            if (element.tagName === 'body' || element.tagName === 'html' || element.tagName === 'article') return;
+            const hint = `${$(element).attr('class') || ''} ${$(element).attr('id') || ''}`;
+            if (UNLIKELY.test(hint) && !MAYBE.test(hint)) {
+                $(element).remove();
+            }
+        });
+
+        const candidates = this.scoreCandidates($);
+        if (candidates.size === 0) return null;
+
+        let top = null;
+        let topScore = 0;
+        for (const [element, score] of candidates) {
+            const adjusted = score * (1 - this.linkDensity($, element));
+            candidates.set(element, adjusted);
+            if (adjusted > topScore) {
+                top = element;
+                topScore = adjusted;
+            }
+        }
+        // Only negatively scored containers (e.g. list items): nothing that looks like an article body
+        if (!top) return null;
+
+        // Article text is sometimes split across sibling containers (ads or embeds in between)
+        const threshold = Math.max(10, topScore * 0.2);
+        const blocks = top.parent
+            ? $(top.parent).children().toArray().filter(element => element === top || (candidates.get(element) || 0) >= threshold)
+            : [top];
+
+        const content = this.collect($, blocks, pageUrl);
+        const text = content.paragraphs.join('\n\n');
+        if (text.length < this.minLength) return null;
+
+        return {
+            title,
+            text,
+            paragraphs: content.paragraphs,
+            headings: content.headings,
+            images: content.images,
+            wordCount: text.split(/\s+/).filter(Boolean).length
+        };
+    }
+
+    // Paragraph scores flow to the parent (full) and grandparent (half)
+    scoreCandidates($) {
+        const candidates = new Map();
+        const initialize = element => {
+            if (!candidates.has(element)) {
+                candidates.set(element, this.initialScore($, element));
+            }
+        };
+
+        $('p, pre, td, blockquote').each((_, paragraph) => {
+            const text = this.clean($(paragraph).text());
+            if (text.length < this.minParagraphLength) return;
+
+            const parent = paragraph.parent;
+            const grandparent = parent && parent.parent;
+            if (!parent || parent.type !== 'tag') return;
+
+            const score = 1 + (text.match(/[,，、]/g) || []).length + Math.min(Math.floor(text.length / 100), 3);
+            initialize(parent);
+            candidates.set(parent, candidates.get(parent) + score);
+            if (grandparent && grandparent.type === 'tag') {
+                initialize(grandparent);
+                candidates.set(grandparent, candidates.get(grandparent) + score / 2);
+            }
+        });
+
+        return candidates;
+    }
+
+    initialScore($, element) {
+        let score = 0;
+        switch (element.tagName) {
+            case 'article':
+            case 'main':
+                score += 10;
+                break;
+            case 'div':
+            case 'section':
+                score += 5;
+                break;
+            case 'pre':
+            case 'td':
+            case 'blockquote':
+                score += 3;
+                break;
+            case 'ol':
+            case 'ul':
+            case 'dl':
+            case 'li':
+            case 'address':
+                score -= 3;
+                break;
+            case 'h1': case 'h2': case 'h3': case 'h4': case 'h5': case 'h6': case 'th':
+                score -= 5;
+                break;
+        }
+        if ($(element).attr('itemprop') === 'articleBody') score += 25;
+
+        const hint = `${$(element).attr('class') || ''} ${$(element).attr('id') || ''}`;
+        if (NEGATIVE.test(hint)) score -= 25;
+        if (POSITIVE.test(hint)) score += 25;
+        return score;
+    }
+
+    linkDensity($, element) {
+        const length = this.clean($(element).text()).length;
+        if (length === 0) return 0;
+        const linkLength = $(element).find('a').toArray().reduce((sum, link) => sum + this.clean($(link).text()).length, 0);
+        return linkLength / length;
+    }
+
+    // Walk the chosen blocks in document order and keep the structure we care about
+    collect($, blocks, pageUrl) {
+        const paragraphs = [];
+        const headings = [];
+        const images = [];
+        const seenImages = new Set();
+
+        blocks.forEach(block => {
+            $(block).find('h2, h3, h4, h5, h6, p, li, blockquote, pre, img').addBack('p, blockquote, pre').each((_, element) => {
+                const $element = $(element);
+                if (element.tagName === 'img') {
+                    const image = this.readImage($, $element, pageUrl);
+                    if (image && !seenImages.has(image.src)) {
+                        seenImages.add(image.src);
+                        images.push(image);
+                    }
+                    return;
+                }
+
+                // Nested blocks (p inside blockquote, p inside li) are read once, at the innermost level
+                if ($element.find('p, li, blockquote, pre').length > 0) return;
+
+                const text = this.clean($element.text());
+                if (!text) return;
+
+                if (/^h[2-6]$/.test(element.tagName)) {
+                    headings.push({ level: Number(element.tagName[1]), text });
+                    paragraphs.push(text);
+                    return;
+                }
+                if (element.tagName === 'li' && text.length < this.minParagraphLength) return;
+                if (text.length < 80 && this.linkDensity($, element) > 0.5) return;
+                paragraphs.push(text);
+            });
+        });
+
+        return { paragraphs, headings, images };
+    }
+
+    readImage($, $image, pageUrl) {
+        const srcset = $image.attr('srcset') || $image.attr('data-srcset');
+        const raw = $image.attr('data-src') || $image.attr('data-lazy-src') || $image.attr('data-original') ||
+            $image.attr('src') || (srcset && srcset.split(',')[0].trim().split(/\s+/)[0]);
+        if (!raw || raw.startsWith('data:')) return null;
+        if (Number($image.attr('width')) === 1 || Number($image.attr('height')) === 1) return null;
+
+        let src;
+        try {
+            src = new URL(raw, pageUrl).toString();
+        } catch (error) {
+            return null;
+        }
+        const caption = this.clean($image.closest('figure').find('figcaption').first().text()) || null;
+        return { src, alt: this.clean($image.attr('alt') || '') || null, caption };
+    }
+
+    clean(text) {
+        return String(text || '').replace(/\s+/g, ' ').trim();
+    }
+}
+
+module.exports = ContentExtractor;
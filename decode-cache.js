@@ -0,0 +1,309 @@
+// decode-cache.js - Caches for decoded Google News URLs, keyed by the base64 article ID
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+
+/**
+ * Per-user cache directory ($XDG_CACHE_HOME or ~/.cache). Installed packages are often read-only and
+ * are replaced on reinstall, so nothing is written next to the code.
+ * @returns {string}
+ */
+function defaultCacheDir() {
+    const cacheHome = process.env.XDG_CACHE_HOME || path.join(os.homedir(), '.cache');
+    return path.join(cacheHome, 'integrated-google-news-searcher');
+}
+
+/**
+ * In-memory cache with TTL and a maximum entry count (oldest entries are evicted first).
+ * All backends share the same async interface: get, set, delete, clear, size.
+ */
+class MemoryDecodeCache {
+    /**
+     * @param {Object} [options]
+     * @param {number} [options.ttl] - Entry lifetime in ms (default 30 days, 0 disables expiry)
+     * @param {number} [options.maxEntries] - Maximum number of entries kept (default 10000)
+     */
+    constructor(options = {}) {
+        this.ttl = options.ttl !== undefined ? options.ttl : 30 * 24 * 60 * 60 * 1000;
+        this.maxEntries = options.maxEntries || 10000;
+        this.entries = new Map();
+    }
+
+    isExpired(entry, now = Date.now()) {
+        return this.ttl > 0 && now - entry.timestamp > this.ttl;
+    }
+
+    /**
+     * @param {string} articleId - Base64 article ID
+     * @returns {Promise<Object|null>} { url, timestamp } or null when missing/expired
+     */
+    async get(articleId) {
+        const entry = this.entries.get(articleId);
+        if (!entry) return null;
+        if (this.isExpired(entry)) {
+            this.entries.delete(articleId);
+            return null;
+        }
+        return { ...entry };
+    }
+
+    /**
+     * @param {string} articleId - Base64 article ID
+     * @param {string} url - Decoded source URL
+     * @returns {Promise<void>}
+     */
+    async set(articleId, url) {
+        // Re-inserting moves the key to the end of the Map's insertion order
+        this.entries.delete(articleId);
+        this.entries.set(articleId, { url, timestamp: Date.now() });
+        this.evict();
+    }
+
+    async delete(articleId) {
+        this.entries.delete(articleId);
+    }
+
+    async clear() {
+        this.entries.clear();
+    }
+
+    async size() {
+        return this.entries.size;
+    }
+
+    evict() {
+        while (this.entries.size > this.maxEntries) {
+            this.entries.delete(this.entries.keys().next().value);
+        }
+    }
+}
+
+/**
+ * JSON file backend: the whole cache is loaded on first use and rewritten after changes.
+ * Writes are coalesced so a batch of decodes results in a single save.
+ */
+class JsonFileDecodeCache extends MemoryDecodeCache {
+    /**
+     * @param {Object} [options] - MemoryDecodeCache options plus:
+     * @param {string} [options.filePath] - Cache file (default decode-cache.json in defaultCacheDir())
+     * @param {number} [options.saveDelay] - Debounce for writes in ms (default 500)
+     */
+    constructor(options = {}) {
+        super(options);
+        this.filePath = options.filePath || path.join(defaultCacheDir(), 'decode-cache.json');
+        this.saveDelay = options.saveDelay !== undefined ? options.saveDelay : 500;
+        this.loaded = null;
+        this.saveTimer = null;
+        this.flushOnExit = () => this.saveSync();
+    }
+
+    async load() {
+        if (!this.loaded) {
+            this.loaded = (async () => {
+                try {
+                    if (await fs.pathExists(this.filePath)) {
+                        const data = await fs.readJSON(this.filePath);
+                        const now = Date.now();
+                        Object.entries(data.entries || {})
+                            .sort(([, a], [, b]) => a.timestamp - b.timestamp)
+                            .forEach(([articleId, entry]) => {
+                                if (!this.isExpired(entry, now)) {
+                                    this.entries.set(articleId, entry);
+                                }
+                            });
+                        this.evict();
+                    }
+                } catch (error) {
+                    console.warn(`⚠️  Could not read decode cache ${this.filePath}: ${error.message}`);
+                }
+            })();
+        }
+        return this.loaded;
+    }
+
+    async get(articleId) {
+        await this.load();
+        return super.get(articleId);
+    }
+
+    async set(articleId, url) {
+        await this.load();
+        await super.set(articleId, url);
+        this.scheduleSave();
+    }
+
+    async delete(articleId) {
+        await this.load();
+        await super.delete(articleId);
+        this.scheduleSave();
+    }
+
+    async clear() {
+        await this.load();
+        await super.clear();
+        await this.save();
+    }
+
+    async size() {
+        await this.load();
+        return super.size();
+    }
+
+    // The timer does not keep the process alive; a save still pending at exit is written synchronously
+    scheduleSave() {
+        if (this.saveTimer) return;
+        this.saveTimer = setTimeout(() => {
+            this.saveTimer = null;
+            process.removeListener('exit', this.flushOnExit);
+            this.save().catch(error => console.warn(`⚠️  Could not write decode cache: ${error.message}`));
+        }, this.saveDelay);
+        this.saveTimer.unref();
+        process.once('exit', this.flushOnExit);
+    }
+
+    cancelScheduledSave() {
+        if (this.saveTimer) {
+            clearTimeout(this.saveTimer);
+            this.saveTimer = null;
+            process.removeListener('exit', this.flushOnExit);
+        }
+    }
+
+    // Write immediately, e.g. before the process exits
+    async save() {
+        this.cancelScheduledSave();
+        await fs.ensureDir(path.dirname(this.filePath));
+        await fs.writeJSON(this.filePath, { entries: Object.fromEntries(this.entries) }, { spaces: 2 });
+    }
+
+    saveSync() {
+        this.cancelScheduledSave();
+        try {
+            fs.ensureDirSync(path.dirname(this.filePath));
+            fs.writeJSONSync(this.filePath, { entries: Object.fromEntries(this.entries) }, { spaces: 2 });
+        } catch (error) {
+            console.warn(`⚠️  Could not write decode cache: ${error.message}`);
+        }
+    }
+}
+
+/**
+ * SQLite backend built on the optional better-sqlite3 package.
+ */
+class SqliteDecodeCache {
+    /**
+     * @param {Object} [options]
+     * @param {string} [options.filePath] - Database file (default decode-cache.sqlite in defaultCacheDir(), or ':memory:')
+     * @param {number} [options.ttl] - Entry lifetime in ms (default 30 days, 0 disables expiry)
+     * @param {number} [options.maxEntries] - Maximum number of entries kept (default 100000)
+     */
+    constructor(options = {}) {
+        let Database;
+        try {
+            Database = require('better-sqlite3');
+        } catch (error) {
+            throw new Error('SqliteDecodeCache requires the optional "better-sqlite3" package (npm install better-sqlite3)');
+        }
+
+        this.ttl = options.ttl !== undefined ? options.ttl : 30 * 24 * 60 * 60 * 1000;
+        this.maxEntries = options.maxEntries || 100000;
+        this.filePath = options.filePath || path.join(defaultCacheDir(), 'decode-cache.sqlite');
+
+        if (this.filePath !== ':memory:') {
+            fs.ensureDirSync(path.dirname(this.filePath));
+        }
+        this.db = new Database(this.filePath);
+        this.db.exec(`
+            CREATE TABLE IF NOT EXISTS decode_cache (
+                article_id TEXT PRIMARY KEY,
+                url TEXT NOT NULL,
+                timestamp INTEGER NOT NULL
+            );
+            CREATE INDEX IF NOT EXISTS decode_cache_timestamp ON decode_cache (timestamp);
+        `);
+
+        this.statements = {
+            get: this.db.prepare('SELECT url, timestamp FROM decode_cache WHERE article_id = ?'),
+            set: this.db.prepare('INSERT OR REPLACE INTO decode_cache (article_id, url, timestamp) VALUES (?, ?, ?)'),
+            delete: this.db.prepare('DELETE FROM decode_cache WHERE article_id = ?'),
+            clear: this.db.prepare('DELETE FROM decode_cache'),
+            count: this.db.prepare('SELECT COUNT(*) AS count FROM decode_cache'),
+            expire: this.db.prepare('DELETE FROM decode_cache WHERE timestamp < ?'),
+            evict: this.db.prepare(`DELETE FROM decode_cache WHERE article_id IN (
+                SELECT article_id FROM decode_cache ORDER BY timestamp ASC LIMIT ?
+            )`)
+        };
+    }
+
+    async get(articleId) {
+        const row = this.statements.get.get(articleId);
+        if (!row) return null;
+        if (this.ttl > 0 && Date.now() - row.timestamp > this.ttl) {
+            this.statements.delete.run(articleId);
+            return null;
+        }
+        return { url: row.url, timestamp: row.timestamp };
+    }
+
+    async set(articleId, url) {
+        this.statements.set.run(articleId, url, Date.now());
+        this.evict();
+    }
+
+    async delete(articleId) {
+        this.statements.delete.run(articleId);
+    }
+
+    async clear() {
+        this.statements.clear.run();
+    }
+
+    async size() {
+        return this.statements.count.get().count;
+    }
+
+    evict() {
+        if (this.ttl > 0) {
+            this.statements.expire.run(Date.now() - this.ttl);
+        }
+        const overflow = this.statements.count.get().count - this.maxEntries;
+        if (overflow > 0) {
+            this.statements.evict.run(overflow);
+        }
+    }
+
+    close() {
+        this.db.close();
+    }
+}
+
+/**
+ * Build a cache from a config value: an existing cache instance, or
+ * { type: 'memory' | 'json' | 'sqlite', ...backend options }.
+ * @param {Object|null} config
+ * @returns {Object|null} Cache instance or null when caching is disabled
+ */
+function createDecodeCache(config) {
+    if (!config) return null;
+    if (typeof config.get === 'function' && typeof config.set === 'function') return config;
+
+    const { type = 'memory', ...options } = config;
+    switch (type) {
+        case 'memory':
+            return new MemoryDecodeCache(options);
+        case 'json':
+            return new JsonFileDecodeCache(options);
+        case 'sqlite':
+            return new SqliteDecodeCache(options);
+        default:
+            throw new Error(`Unknown decode cache type "${type}". Use memory, json or sqlite`);
+    }
+}
+
+module.exports = {
+    MemoryDecodeCache,
+    JsonFileDecodeCache,
+    SqliteDecodeCache,
+    createDecodeCache,
+    defaultCacheDir
+};
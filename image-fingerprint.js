@@ -0,0 +1,174 @@
+// image-fingerprint.js - Perceptual hashes (dHash, pHash) and image statistics to spot blank and duplicate captures
+const sharp = require('sharp');
+
+const HASH_SIZE = 8;
+const DCT_SIZE = 32;
+const SAMPLE_SIZE = 64;
+
+// cos((2x + 1) * u * PI / 2N) for the low-frequency rows of the pHash DCT
+const DCT_COSINES = Array.from({ length: HASH_SIZE }, (_, u) =>
+    Array.from({ length: DCT_SIZE }, (_, x) => Math.cos(((2 * x + 1) * u * Math.PI) / (2 * DCT_SIZE)))
+);
+
+function bitsToHex(bits) {
+    let hex = '';
+    for (let i = 0; i < bits.length; i += 4) {
+        hex += (bits[i] << 3 | bits[i + 1] << 2 | bits[i + 2] << 1 | bits[i + 3]).toString(16);
+    }
+    return hex;
+}
+
+/**
+ * Number of differing bits between two hex hashes of the same length
+ * @param {string} a
+ * @param {string} b
+ * @returns {number}
+ */
+function hammingDistance(a, b) {
+    if (a.length !== b.length) {
+        throw new Error('Hashes must have the same length');
+    }
+    let distance = 0;
+    for (let i = 0; i < a.length; i++) {
+        let diff = parseInt(a[i], 16) ^ parseInt(b[i], 16);
+        while (diff) {
+            distance += diff & 1;
+            diff >>= 1;
+        }
+    }
+    return distance;
+}
+
+class ImageFingerprinter {
+    /**
+     * @param {Object} [options]
+     * @param {number} [options.blankUniformity] - Share of pixels at the dominant grey level a blank capture has (default 0.95)
+     * @param {number} [options.blankStdev] - Grey level standard deviation a blank capture stays under (default 6).
+     *   Both must hold: a white page with a few lines of text is as uniform as a blank one, but not as flat
+     * @param {number} [options.duplicateDistance] - Max differing bits, in both dHash and pHash, for a near-duplicate (default 4)
+     */
+    constructor(options = {}) {
+        this.blankUniformity = options.blankUniformity || 0.95;
+        this.blankStdev = options.blankStdev !== undefined ? options.blankStdev : 6;
+        this.duplicateDistance = options.duplicateDistance !== undefined ? options.duplicateDistance : 4;
+    }
+
+    /**
+     * Hash and measure the top of a capture. Only the first viewport is used so full-page captures
+     * of different lengths still compare.
+     * @param {string} filePath
+     * @param {Object} [options]
+     * @param {number} [options.foldHeight] - Height of the region to analyse (default the whole image)
+     * @returns {Promise<Object>} { dHash, pHash, stats: { mean, stdev, entropy, uniformity, dominant }, blank }
+     */
+    async fingerprint(filePath, options = {}) {
+        const { width, height } = await sharp(filePath).metadata();
+        const region = { left: 0, top: 0, width, height: Math.min(height, options.foldHeight || height) };
+        // stats() reads the input rather than the pipeline, so the region is decoded once up front
+        const { data, info } = await sharp(filePath).extract(region).raw().toBuffer({ resolveWithObject: true });
+        const image = () => sharp(data, { raw: { width: info.width, height: info.height, channels: info.channels } });
+
+        const dHash = await this.dHash(image());
+        const pHash = await this.pHash(image());
+        const stats = await this.imageStats(image());
+
+        return {
+            dHash,
+            pHash,
+            stats,
+            blank: stats.uniformity >= this.blankUniformity && stats.stdev < this.blankStdev
+        };
+    }
+
+    // Difference hash: is each pixel brighter than its right neighbour on a 9x8 grey thumbnail
+    async dHash(image) {
+        const pixels = await this.greyPixels(image, HASH_SIZE + 1, HASH_SIZE);
+        const bits = [];
+        for (let y = 0; y < HASH_SIZE; y++) {
+            for (let x = 0; x < HASH_SIZE; x++) {
+                bits.push(pixels[y * (HASH_SIZE + 1) + x] > pixels[y * (HASH_SIZE + 1) + x + 1] ? 1 : 0);
+            }
+        }
+        return bitsToHex(bits);
+    }
+
+    // Perceptual hash: low-frequency DCT coefficients of a 32x32 grey thumbnail against their median
+    async pHash(image) {
+        const pixels = await this.greyPixels(image, DCT_SIZE, DCT_SIZE);
+        const coefficients = [];
+        for (let v = 0; v < HASH_SIZE; v++) {
+            for (let u = 0; u < HASH_SIZE; u++) {
+                let sum = 0;
+                for (let y = 0; y < DCT_SIZE; y++) {
+                    for (let x = 0; x < DCT_SIZE; x++) {
+                        sum += pixels[y * DCT_SIZE + x] * DCT_COSINES[u][x] * DCT_COSINES[v][y];
+                    }
+                }
+                coefficients.push(sum);
+            }
+        }
+
+        // The DC term only carries overall brightness
+        const sorted = coefficients.slice(1).sort((a, b) => a - b);
+        const median = (sorted[Math.floor(sorted.length / 2) - 1] + sorted[Math.floor(sorted.length / 2)]) / 2;
+        return bitsToHex(coefficients.map(value => (value > median ? 1 : 0)));
+    }
+
+    async imageStats(image) {
+        const { channels, entropy } = await image.clone().flatten({ background: '#ffffff' }).toColourspace('b-w').stats();
+        const { dominant } = await image.clone().stats();
+        const pixels = await this.greyPixels(image, SAMPLE_SIZE, SAMPLE_SIZE);
+
+        // Share of the sample within 10 grey levels of the most common level
+        const histogram = new Array(256).fill(0);
+        pixels.forEach(value => histogram[value]++);
+        const mode = histogram.indexOf(Math.max(...histogram));
+        let near = 0;
+        for (let level = Math.max(0, mode - 10); level <= Math.min(255, mode + 10); level++) {
+            near += histogram[level];
+        }
+
+        return {
+            mean: Number(channels[0].mean.toFixed(2)),
+            stdev: Number(channels[0].stdev.toFixed(2)),
+            entropy: Number(entropy.toFixed(3)),
+            uniformity: Number((near / pixels.length).toFixed(4)),
+            dominant
+        };
+    }
+
+    async greyPixels(image, width, height) {
+        return image.clone()
+            .flatten({ background: '#ffffff' })
+            .toColourspace('b-w')
+            .resize(width, height, { fit: 'fill' })
+            .raw()
+            .toBuffer();
+    }
+
+    /**
+     * Closest earlier fingerprint within duplicateDistance in both hashes
+     * @param {Object} fingerprint
+     * @param {Array<Object>} previous - [{ fileName, dHash, pHash }]
+     * @returns {Object|null} { fileName, distance: { dHash, pHash } }
+     */
+    findDuplicate(fingerprint, previous) {
+        let best = null;
+        for (const entry of previous) {
+            const distance = {
+                dHash: hammingDistance(fingerprint.dHash, entry.dHash),
+                pHash: hammingDistance(fingerprint.pHash, entry.pHash)
+            };
+            if (distance.dHash > this.duplicateDistance || distance.pHash > this.duplicateDistance) continue;
+            if (!best || distance.dHash + distance.pHash < best.distance.dHash + best.distance.pHash) {
+                best = { fileName: entry.fileName, distance };
+            }
+        }
+        return best;
+    }
+}
+
+module.exports = {
+    ImageFingerprinter,
+    hammingDistance
+};
@@ -0,0 +1,195 @@
+// language-detector.js - Offline language identification: Unicode script ranges plus character trigram profiles
+
+// Scripts used by a single language in news text
+const SCRIPT_LANGUAGES = [
+    ['hangul', /[가-힯ᄀ-ᇿ㄰-㆏]/gu, 'ko'],
+    ['kana', /[぀-ヿ]/gu, 'ja'],
+    ['han', /\p{Script=Han}/gu, 'zh'],
+    ['thai', /\p{Script=Thai}/gu, 'th'],
+    ['greek', /\p{Script=Greek}/gu, 'el'],
+    ['hebrew', /\p{Script=Hebrew}/gu, 'he'],
+    ['bengali', /\p{Script=Bengali}/gu, 'bn'],
+    ['gurmukhi', /\p{Script=Gurmukhi}/gu, 'pa'],
+    ['gujarati', /\p{Script=Gujarati}/gu, 'gu'],
+    ['tamil', /\p{Script=Tamil}/gu, 'ta'],
+    ['telugu', /\p{Script=Telugu}/gu, 'te'],
+    ['kannada', /\p{Script=Kannada}/gu, 'kn'],
+    ['malayalam', /\p{Script=Malayalam}/gu, 'ml'],
+    ['devanagari', /\p{Script=Devanagari}/gu, 'hi'],
+    ['arabic', /\p{Script=Arabic}/gu, 'ar'],
+    ['cyrillic', /\p{Script=Cyrillic}/gu, 'ru'],
+    ['latin', /\p{Script=Latin}/gu, null]
+];
+
+// Letters that separate languages sharing a script from the script's default language
+const SCRIPT_VARIANTS = {
+    devanagari: [['mr', /ळ|आहे|आणि/u], ['ne', /छ।|हुन्छ|गरेको/u]],
+    arabic: [['ur', /[ٹڈڑںےھ]/u], ['fa', /[پچژگ]|ی/u]],
+    cyrillic: [['uk', /[іїєґ]/iu], ['sr', /[ђћџљњј]/iu], ['bg', /^(?!.*[ыэё]).*ъ/isu]]
+};
+
+// Frequent words and a paragraph of news prose per Latin-script language; their trigrams make up the language profiles
+const LATIN_SEEDS = {
+    en: 'the of and to in a is that for it as was with be by on not he this are or his from at which but have an they you were her she there one all we their has been would more will if no when who so what up out about than into them can only new other its after first also said over year years police people government president says could two state week how news minister report the government is expected to announce new rates following the meeting according to officials investors are watching the market closely while prices keep rising shares fell sharply during trading this morning the company reported strong earnings and higher revenue people living in the region were told to leave their homes officials said on tuesday that the new rules would take effect next month after lawmakers approved the bill with broad support from both parties. the central bank kept interest rates unchanged but signalled that it could cut borrowing costs later this year if inflation continues to ease. shares of the technology company rose more than ten percent in early trading after it beat analysts estimates for quarterly sales and raised its forecast for the full year. the storm knocked out power to hundreds of thousands of homes and forced schools and airports to close across the coast. thousands of people marched through the capital on saturday to protest against the war and demand an immediate ceasefire. the star shared the news with fans on social media and thanked them for their support during a difficult time. the team won the championship for the first time in almost thirty years after a dramatic final that went to extra time. scientists warned that record temperatures are likely to become more common as the climate keeps warming. the court ruled that the company had broken the law by abusing its dominant position in online search and advertising. the prime minister meets leaders from europe and asia this week to discuss trade, security and energy prices. the movie topped the box office over the weekend and earned strong reviews from critics and audiences. police arrested two men in connection with the shooting and said there was no further threat to the public. the deal is expected to close by the end of the year, subject to regulatory approval. health experts recommend that older adults get the updated vaccine before the winter season. what we know so far about the crash and how it happened. here are the best deals you can get right now on phones, laptops, headphones and smart watches. the airline cancelled flights and apologised to passengers stranded at the airport. investors worry that higher tariffs could slow growth and push up prices for consumers. a spokesman for the ministry declined to comment on the report. the plan includes billions of dollars for roads, bridges, broadband and clean energy.',
+    es: 'de la que el en y a los se del las un por con no una su para es al lo como más pero sus le ya o este sí porque esta entre cuando muy sin sobre también me hasta hay donde quien desde todo nos durante todos uno les ni contra otros ese eso ante ellos gobierno presidente país años según después informe ciudad policía elecciones el gobierno anunció este martes nuevas medidas para contener la subida de los precios según fuentes oficiales los mercados reaccionaron con caídas y la empresa informó de unos beneficios récord los vecinos de la zona fueron evacuados de sus viviendas los ministros aprobaron el martes un nuevo paquete de ayudas para las familias y las pequeñas empresas afectadas por la crisis. el banco central mantuvo los tipos de interés sin cambios, aunque no descartó una bajada en los próximos meses si la inflación sigue moderándose. las acciones de la compañía subieron con fuerza en la bolsa después de presentar unos resultados mejores de lo esperado. el temporal dejó sin luz a miles de hogares y obligó a cerrar colegios y carreteras en toda la costa. miles de personas se manifestaron este sábado en la capital para pedir el fin de la guerra. el equipo ganó la final en la prórroga y celebró el título con sus aficionados en la plaza mayor. la policía detuvo a dos hombres relacionados con el tiroteo y aseguró que no existe ningún peligro para la población. el presidente se reunirá esta semana con los líderes europeos para hablar de comercio, seguridad y energía. los expertos advierten de que las olas de calor serán cada vez más frecuentes. qué sabemos hasta ahora del accidente y cómo ocurrió.',
+    fr: 'de la le et les des en un du une que est pour qui dans par sur pas au plus avec ce il ne se sont ont son mais aux été cette comme ou nous leur elle tout sa ses fait deux être très aussi entre après sans lors dont selon président gouvernement pays année ministre police ville contre nouveau le gouvernement a annoncé mardi de nouvelles mesures pour contenir la hausse des prix selon des sources officielles les marchés ont réagi par une baisse et l\'entreprise a publié des bénéfices records les habitants de la région ont été évacués de leurs maisons les ministres ont adopté mardi un nouveau plan d\'aide pour les familles et les petites entreprises touchées par la crise. la banque centrale a laissé ses taux inchangés mais n\'exclut pas une baisse dans les prochains mois si l\'inflation continue de ralentir. l\'action du groupe a bondi en bourse après la publication de résultats supérieurs aux attentes. la tempête a privé d\'électricité des milliers de foyers et a entraîné la fermeture des écoles et des routes sur tout le littoral. des milliers de personnes ont manifesté samedi dans la capitale pour réclamer la fin de la guerre. l\'équipe a remporté la finale après prolongation et a fêté le titre avec ses supporters. la police a interpellé deux hommes soupçonnés d\'être liés à la fusillade et assure qu\'il n\'y a plus de danger pour la population. le président rencontrera cette semaine les dirigeants européens pour évoquer le commerce, la sécurité et l\'énergie. les experts préviennent que les vagues de chaleur seront de plus en plus fréquentes. ce que l\'on sait de l\'accident et de la façon dont il s\'est produit.',
+    de: 'der die und in den von zu das mit sich des auf für ist im dem nicht ein eine als auch es an werden aus er hat dass sie nach wird bei einer um am sind noch wie einem über einen so zum war haben nur oder aber vor zur bis mehr durch man sein wurde jahr jahren regierung präsident polizei gegen stadt neue müssen die regierung hat am dienstag neue maßnahmen gegen die steigenden preise angekündigt nach angaben von beamten reagierten die märkte mit verlusten und das unternehmen meldete einen rekordgewinn die bewohner der region mussten ihre häuser verlassen die minister haben am dienstag ein neues hilfspaket für familien und kleine unternehmen beschlossen, die von der krise betroffen sind. die zentralbank ließ die leitzinsen unverändert, schloss eine senkung in den kommenden monaten aber nicht aus, falls die inflation weiter nachlässt. die aktie des konzerns legte an der börse deutlich zu, nachdem das unternehmen bessere zahlen als erwartet vorgelegt hatte. der sturm hat tausende haushalte ohne strom gelassen, schulen und straßen an der küste mussten geschlossen werden. tausende menschen haben am samstag in der hauptstadt für ein ende des krieges demonstriert. die mannschaft gewann das finale in der verlängerung und feierte den titel mit ihren fans. die polizei hat zwei männer festgenommen, die mit den schüssen in verbindung stehen sollen, eine gefahr für die bevölkerung bestehe nicht. der kanzler trifft sich in dieser woche mit den europäischen partnern, um über handel, sicherheit und energie zu sprechen. experten warnen, dass hitzewellen immer häufiger werden. was wir bisher über den unfall wissen und wie es dazu kam.',
+    it: 'di e il la che in a per un del non è una le si da con i al della gli sono come alla più ha lo ma nel anche dei delle questo ci se o sul nella tra dopo essere stato sua suo loro gli fatto governo presidente paese anni polizia città contro secondo ministro molto il governo ha annunciato martedì nuove misure per contenere l\'aumento dei prezzi secondo fonti ufficiali i mercati hanno reagito con perdite e l\'azienda ha registrato utili record gli abitanti della zona sono stati evacuati dalle loro case i ministri hanno approvato martedì un nuovo pacchetto di aiuti per le famiglie e le piccole imprese colpite dalla crisi. la banca centrale ha lasciato i tassi invariati ma non esclude un taglio nei prossimi mesi se l\'inflazione continuerà a scendere. il titolo della società è salito in borsa dopo la pubblicazione di conti migliori delle attese. il maltempo ha lasciato senza corrente migliaia di famiglie e ha costretto a chiudere scuole e strade lungo la costa. migliaia di persone hanno manifestato sabato nella capitale per chiedere la fine della guerra. la squadra ha vinto la finale ai supplementari e ha festeggiato lo scudetto con i tifosi. la polizia ha arrestato due uomini collegati alla sparatoria e ha assicurato che non ci sono pericoli per la popolazione. il premier incontrerà questa settimana i leader europei per parlare di commercio, sicurezza ed energia. gli esperti avvertono che le ondate di calore saranno sempre più frequenti. cosa sappiamo finora dell\'incidente e come è successo.',
+    pt: 'de a o que e do da em um para é com não uma os no se na por mais as dos como mas foi ao ele das tem à seu sua ou ser quando muito há nos já está também só pelo pela até isso ela entre depois sem mesmo aos governo presidente país anos polícia cidade contra segundo ministro não são o governo anunciou nesta terça-feira novas medidas para conter a alta dos preços segundo fontes oficiais os mercados reagiram com quedas e a empresa registrou lucros recordes os moradores da região foram retirados de suas casas os ministros aprovaram nesta terça-feira um novo pacote de ajuda para as famílias e as pequenas empresas afetadas pela crise. o banco central manteve os juros inalterados, mas não descartou um corte nos próximos meses se a inflação continuar a cair. as ações da empresa subiram na bolsa depois da divulgação de resultados acima do esperado. a tempestade deixou milhares de casas sem energia e obrigou o fechamento de escolas e estradas em todo o litoral. milhares de pessoas protestaram no sábado na capital para pedir o fim da guerra. o time venceu a final na prorrogação e comemorou o título com os torcedores. a polícia prendeu dois homens ligados ao tiroteio e afirmou que não há perigo para a população. o presidente se reunirá nesta semana com líderes europeus para discutir comércio, segurança e energia. especialistas alertam que as ondas de calor serão cada vez mais frequentes. o que se sabe até agora sobre o acidente e como ele aconteceu.',
+    nl: 'de en van het een in is dat op te zijn met voor niet die aan er om ook als maar bij of uit door nog wordt naar dan over tot werd kan zich jaar hij ze was worden heeft hebben geen wel meer veel deze moet na tegen regering minister politie stad nieuwe gemeente de regering heeft dinsdag nieuwe maatregelen aangekondigd tegen de stijgende prijzen volgens ambtenaren reageerden de markten met verliezen en het bedrijf meldde een recordwinst de bewoners van de regio moesten hun huizen verlaten de ministers hebben dinsdag een nieuw steunpakket goedgekeurd voor gezinnen en kleine bedrijven die door de crisis zijn getroffen. de centrale bank liet de rente ongewijzigd, maar sluit een verlaging in de komende maanden niet uit als de inflatie verder daalt. het aandeel van het bedrijf steeg flink op de beurs nadat het betere cijfers dan verwacht had gepresenteerd. door de storm zaten duizenden huishoudens zonder stroom en moesten scholen en wegen langs de kust dicht. duizenden mensen gingen zaterdag in de hoofdstad de straat op om een einde aan de oorlog te eisen. de ploeg won de finale na verlenging en vierde de titel met de supporters. de politie heeft twee mannen aangehouden die betrokken zouden zijn bij de schietpartij. wat we tot nu toe weten over het ongeluk.',
+    sv: 'och i att det som en på är av för med till den har de inte om ett han men var jag sig från vi så kan man när år säger hon nu ska eller efter under också vid mot alla bara mycket två sina blir sedan regeringen polisen staden enligt kommer skulle måste regeringen meddelade på tisdagen nya åtgärder mot de stigande priserna enligt tjänstemän reagerade marknaderna med fall och företaget redovisade rekordvinst invånarna i regionen fick lämna sina hem ministrarna godkände på tisdagen ett nytt stödpaket för familjer och små företag som drabbats av krisen. centralbanken lämnade räntan oförändrad men utesluter inte en sänkning under de kommande månaderna. bolagets aktie steg kraftigt på börsen efter att företaget presenterat bättre siffror än väntat. stormen gjorde att tusentals hushåll blev utan ström och skolor och vägar längs kusten fick stängas. tusentals människor demonstrerade på lördagen i huvudstaden för att kräva ett slut på kriget. laget vann finalen efter förlängning och firade titeln med supportrarna. polisen har gripit två män som misstänks vara inblandade i skjutningen. det här vet vi om olyckan hittills.',
+    da: 'og i at det er en til på som de med han af for ikke der var den har et sig men om vi så kan også efter skal hun nu ved fra år siger eller blevet bliver mod alle kun meget to sine havde regeringen politiet byen ifølge kommer skulle må være regeringen meddelte tirsdag nye tiltag mod de stigende priser ifølge embedsmænd reagerede markederne med fald og virksomheden rapporterede et rekordoverskud beboerne i området måtte forlade deres hjem ministrene vedtog tirsdag en ny hjælpepakke til familier og små virksomheder, der er ramt af krisen. nationalbanken holdt renten uændret, men udelukker ikke en nedsættelse i de kommende måneder. selskabets aktie steg kraftigt på børsen, efter at virksomheden havde fremlagt bedre tal end ventet. stormen efterlod tusindvis af husstande uden strøm, og skoler og veje langs kysten måtte lukke. tusindvis af mennesker demonstrerede lørdag i hovedstaden for at kræve en ende på krigen. holdet vandt finalen efter forlænget spilletid og fejrede titlen med fansene. politiet har anholdt to mænd, som mistænkes for at være involveret i skyderiet. det ved vi om ulykken indtil videre.',
+    no: 'og i det som på er en til av for at med han ikke de har den var om et seg men så kan vi også etter skal hun nå ved fra år sier eller blitt blir mot alle bare mye to sine hadde regjeringen politiet byen ifølge kommer skulle må være regjeringen kunngjorde tirsdag nye tiltak mot de økende prisene ifølge tjenestemenn reagerte markedene med fall og selskapet rapporterte rekordoverskudd innbyggerne i området måtte forlate hjemmene sine statsrådene vedtok tirsdag en ny hjelpepakke for familier og små bedrifter som er rammet av krisen. norges bank holdt renten uendret, men utelukker ikke et kutt i løpet av de kommende månedene. selskapets aksje steg kraftig på børsen etter at bedriften la frem bedre tall enn ventet. uværet gjorde at tusenvis av husstander ble uten strøm, og skoler og veier langs kysten måtte stenges. tusenvis av mennesker demonstrerte lørdag i hovedstaden for å kreve en slutt på krigen. laget vant finalen etter ekstraomganger og feiret tittelen med supporterne. politiet har pågrepet to menn som mistenkes for å være involvert i skytingen. dette vet vi om ulykken så langt.',
+    fi: 'ja on ei se että hän oli ovat mutta kun myös niin jo tai kuin sekä mukaan vuonna vain voi nyt hänen ole olla pitää tämä tämän joka jotka sitä siitä kaikki vielä sen hallitus presidentti poliisi kaupunki vuoden suomen mukaan uusi kertoo hallitus ilmoitti tiistaina uusista toimista hintojen nousun hillitsemiseksi virkamiesten mukaan markkinat reagoivat laskulla ja yhtiö raportoi ennätyksellisen tuloksen alueen asukkaat joutuivat lähtemään kodeistaan ministerit hyväksyivät tiistaina uuden tukipaketin kriisistä kärsiville perheille ja pienyrityksille. keskuspankki piti korot ennallaan mutta ei sulje pois koronlaskua tulevina kuukausina. yhtiön osake nousi pörssissä selvästi, kun yhtiö julkaisi odotettua paremman tuloksen. myrsky katkaisi sähköt tuhansista kodeista ja kouluja ja teitä jouduttiin sulkemaan rannikolla. tuhannet ihmiset osoittivat lauantaina mieltään pääkaupungissa sodan lopettamiseksi. joukkue voitti finaalin jatkoajalla ja juhli mestaruutta kannattajiensa kanssa. poliisi on pidättänyt kaksi miestä, joiden epäillään liittyvän ampumiseen. tätä tiedämme onnettomuudesta tähän mennessä.',
+    pl: 'w i na nie z się do że to jest o jak po a co ale przez za od tak jego czy już tylko może są dla być oraz był jej także które który która przed roku lat kiedy gdy bardzo rząd prezydent policja miasta według również będzie został została rząd ogłosił we wtorek nowe działania przeciwko rosnącym cenom według urzędników rynki zareagowały spadkami a firma poinformowała o rekordowym zysku mieszkańcy regionu musieli opuścić swoje domy ministrowie przyjęli we wtorek nowy pakiet pomocy dla rodzin i małych firm dotkniętych kryzysem. bank centralny pozostawił stopy procentowe bez zmian, ale nie wyklucza obniżki w najbliższych miesiącach. akcje spółki mocno wzrosły na giełdzie po tym, jak firma przedstawiła wyniki lepsze od oczekiwań. burza pozbawiła prądu tysiące domów, a szkoły i drogi na wybrzeżu musiały zostać zamknięte. tysiące ludzi demonstrowały w sobotę w stolicy, domagając się zakończenia wojny. drużyna wygrała finał po dogrywce i świętowała tytuł z kibicami. policja zatrzymała dwóch mężczyzn podejrzanych o udział w strzelaninie. co wiemy do tej pory o wypadku.',
+    cs: 'a v se na je že s z to do o jako ale by jsou jeho pro i k po také jen které který která při nebo byl byla bylo roku let když už může mezi podle vláda prezident policie města bude než jejich tak podle většina české vláda v úterý oznámila nová opatření proti rostoucím cenám podle úředníků trhy reagovaly poklesem a společnost oznámila rekordní zisk obyvatelé regionu museli opustit své domovy ministři v úterý schválili nový balíček pomoci pro rodiny a malé firmy zasažené krizí. centrální banka ponechala úrokové sazby beze změny, ale nevylučuje jejich snížení v příštích měsících. akcie společnosti na burze výrazně posílily poté, co firma zveřejnila lepší výsledky, než se čekalo. bouře připravila o elektřinu tisíce domácností a školy i silnice na pobřeží musely být uzavřeny. tisíce lidí v sobotu demonstrovaly v hlavním městě a žádaly konec války. tým vyhrál finále v prodloužení a oslavil titul s fanoušky. policie zadržela dva muže podezřelé z účasti na střelbě. co zatím víme o nehodě.',
+    tr: 've bir bu da de için ile çok daha olarak gibi ne kadar en ama sonra var olan ise yeni iki her şey ya değil olduğu ancak göre büyük yıl hükümet cumhurbaşkanı polis kent türkiye açıkladı dedi ilgili üzerine arasında hükümet salı günü artan fiyatlara karşı yeni önlemler açıkladı yetkililere göre piyasalar düşüşle tepki verdi ve şirket rekor kâr açıkladı bölgede yaşayanlar evlerini terk etmek zorunda kaldı bakanlar salı günü krizden etkilenen aileler ve küçük işletmeler için yeni bir yardım paketini onayladı. merkez bankası faiz oranlarını değiştirmedi ancak önümüzdeki aylarda indirim yapabileceğinin sinyalini verdi. şirketin hisseleri beklentilerin üzerinde sonuç açıklamasının ardından borsada sert yükseldi. fırtına binlerce evi elektriksiz bıraktı ve sahil boyunca okullar ile yollar kapatıldı. binlerce kişi cumartesi günü başkentte savaşın sona ermesi için yürüdü. takım uzatmalarda kazandığı finalin ardından şampiyonluğu taraftarlarıyla kutladı. polis silahlı saldırıyla bağlantılı iki kişiyi gözaltına aldı. kaza hakkında şu ana kadar bildiklerimiz.',
+    id: 'yang dan di itu dengan untuk tidak ini dari dalam akan pada juga ke karena tersebut bisa ada mereka lebih saat oleh sudah telah kata seperti bahwa tahun harus baru kami kita hingga menjadi pemerintah presiden polisi kota menurut masih sebagai pemerintah pada hari selasa mengumumkan langkah baru untuk menekan kenaikan harga menurut pejabat pasar bereaksi dengan penurunan dan perusahaan melaporkan laba tertinggi warga di wilayah itu harus meninggalkan rumah mereka para menteri pada selasa menyetujui paket bantuan baru bagi keluarga dan usaha kecil yang terdampak krisis. bank sentral mempertahankan suku bunga namun tidak menutup kemungkinan penurunan dalam beberapa bulan mendatang. saham perusahaan melonjak di bursa setelah perusahaan melaporkan kinerja yang lebih baik dari perkiraan. badai menyebabkan ribuan rumah tanpa listrik dan sekolah serta jalan di sepanjang pantai terpaksa ditutup. ribuan orang berunjuk rasa di ibu kota pada hari sabtu menuntut diakhirinya perang. tim itu memenangi final melalui perpanjangan waktu dan merayakan gelar bersama para pendukungnya. polisi menangkap dua pria yang diduga terlibat dalam penembakan tersebut. apa yang kita ketahui sejauh ini tentang kecelakaan itu.',
+    ro: 'de și în la a cu pe nu care să o din este mai pentru că un se au fost ce sau dar după anul ani prin fi acest această și sunt va avea foarte între despre guvernul președintele poliția orașul potrivit țară guvernul a anunțat marți noi măsuri împotriva creșterii prețurilor potrivit oficialilor piețele au reacționat cu scăderi iar compania a raportat un profit record locuitorii din regiune au fost nevoiți să își părăsească locuințele miniștrii au aprobat marți un nou pachet de sprijin pentru familiile și firmele mici afectate de criză. banca centrală a menținut dobânda neschimbată, dar nu exclude o reducere în lunile următoare. acțiunile companiei au crescut puternic la bursă după ce firma a raportat rezultate mai bune decât se aștepta. furtuna a lăsat mii de locuințe fără curent, iar școli și drumuri de pe litoral au fost închise. mii de oameni au protestat sâmbătă în capitală cerând încetarea războiului. echipa a câștigat finala după prelungiri și a sărbătorit titlul alături de suporteri. poliția a reținut doi bărbați suspectați că ar fi implicați în atac. ce știm până acum despre accident.',
+    hu: 'a az és hogy nem is egy van meg ez de már csak még el mint volt lesz kell azt ki fel vagy pedig után szerint között minden sok évben éves kormány elnök rendőrség város magyar ország újabb a kormány kedden új intézkedéseket jelentett be az emelkedő árak ellen a tisztviselők szerint a piacok eséssel reagáltak a vállalat pedig rekordnyereségről számolt be a térség lakóinak el kellett hagyniuk otthonaikat a miniszterek kedden új támogatási csomagot fogadtak el a válság által sújtott családok és kisvállalkozások számára. a jegybank változatlanul hagyta a kamatot, de nem zárja ki a csökkentést a következő hónapokban. a vállalat részvényei jelentősen emelkedtek a tőzsdén, miután a cég a vártnál jobb eredményt közölt. a vihar miatt több ezer háztartás maradt áram nélkül, az iskolákat és az utakat le kellett zárni. több ezer ember tüntetett szombaton a fővárosban a háború befejezését követelve. a csapat hosszabbításban nyerte meg a döntőt, és a szurkolókkal ünnepelte a bajnoki címet. a rendőrség két férfit vett őrizetbe a lövöldözéssel összefüggésben. ezt tudjuk eddig a balesetről.',
+    vi: 'và của là có trong không được cho những một với người các đã này khi từ cũng đến như để sẽ năm về theo nhiều thì tại đó sau vào ra chính phủ công an thành phố việt nam cho biết chính phủ hôm thứ ba đã công bố các biện pháp mới nhằm kiềm chế giá cả tăng cao theo các quan chức thị trường đã phản ứng bằng việc giảm điểm và công ty báo cáo lợi nhuận kỷ lục người dân trong khu vực phải rời khỏi nhà của họ các bộ trưởng hôm thứ ba đã thông qua gói hỗ trợ mới cho các gia đình và doanh nghiệp nhỏ bị ảnh hưởng bởi khủng hoảng. ngân hàng trung ương giữ nguyên lãi suất nhưng không loại trừ khả năng cắt giảm trong những tháng tới. cổ phiếu của công ty tăng mạnh trên sàn chứng khoán sau khi công bố kết quả kinh doanh tốt hơn dự kiến. cơn bão khiến hàng nghìn hộ gia đình bị mất điện, trường học và đường sá ven biển phải đóng cửa. hàng nghìn người đã tuần hành tại thủ đô vào thứ bảy để kêu gọi chấm dứt chiến tranh. đội bóng giành chiến thắng trong trận chung kết sau hiệp phụ. cảnh sát đã bắt giữ hai người đàn ông liên quan đến vụ nổ súng. những gì chúng ta biết cho đến nay về vụ tai nạn.'
+};
+
+const ALIASES = { iw: 'he', in: 'id', nb: 'no', nn: 'no', fil: 'tl', 'zh-cn': 'zh', 'zh-tw': 'zh' };
+
+class LanguageDetector {
+    /**
+     * @param {Object} [options]
+     * @param {number} [options.minLetters] - Fewer letters than this gives no answer (default 10)
+     * @param {number} [options.unseenProbability] - Probability of a trigram missing from a profile (default 1e-5)
+     * @param {number} [options.expectedMargin] - How much better per trigram (in log-likelihood) another Latin language
+     *   must score to override the expected language passed to detect() (default 0.5)
+     */
+    constructor(options = {}) {
+        this.minLetters = options.minLetters || 10;
+        // Headlines full of names score a little better in a random language; on real headlines those margins stay
+        // under 0.3 while headlines in another language mostly score 1 or more
+        this.expectedMargin = options.expectedMargin !== undefined ? options.expectedMargin : 0.5;
+        // Shared floor so small profiles are not favoured by smoothing
+        this.unseenLog = Math.log(options.unseenProbability || 1e-5);
+        this.profiles = this.buildProfiles(LATIN_SEEDS);
+    }
+
+    /**
+     * Languages the detector can return
+     * @returns {string[]}
+     */
+    get languages() {
+        const scriptLanguages = SCRIPT_LANGUAGES.map(([, , language]) => language).filter(Boolean);
+        const variants = Object.values(SCRIPT_VARIANTS).flatMap(list => list.map(([language]) => language));
+        return [...new Set([...scriptLanguages, ...variants, ...Object.keys(LATIN_SEEDS)])];
+    }
+
+    /**
+     * Normalize a language tag to the detector's codes: "en-US" → "en", "iw" → "he"
+     * @param {string} language
+     * @returns {string|null}
+     */
+    normalize(language) {
+        if (!language) return null;
+        const lower = String(language).toLowerCase().replace('_', '-');
+        if (ALIASES[lower]) return ALIASES[lower];
+        const base = lower.split('-')[0];
+        return ALIASES[base] || base;
+    }
+
+    supports(language) {
+        return this.languages.includes(this.normalize(language));
+    }
+
+    /**
+     * Identify the language of a text
+     * @param {string} text
+     * @param {Object} [options]
+     * @param {string} [options.expected] - Language the text is likely in (e.g. the feed's hl); kept unless another
+     *   Latin-script language scores clearly better
+     * @returns {Object} { language, confidence (0..1), script, candidates: [{ language, confidence }] };
+     *   language is null when the text is too short or in an unknown script
+     */
+    detect(text, options = {}) {
+        const value = String(text || '');
+        // Marks count too: Indic vowel signs belong to their script but are not letters
+        const letters = value.match(/[\p{L}\p{M}]/gu) || [];
+        if (letters.length < this.minLetters) {
+            return { language: null, confidence: 0, script: null, candidates: [] };
+        }
+
+        const counts = SCRIPT_LANGUAGES.map(([script, pattern]) => [script, (value.match(pattern) || []).length]);
+        // Japanese mixes kana with Han, so any amount of kana decides
+        const kana = counts.find(([script]) => script === 'kana')[1];
+        const [script, count] = kana > letters.length * 0.05 ? ['kana', kana] : counts.reduce((best, entry) => (entry[1] > best[1] ? entry : best));
+        const share = Math.min(1, count / letters.length);
+
+        if (script === 'latin') {
+            return this.detectLatin(value, share, this.normalize(options.expected));
+        }
+        if (count === 0) {
+            return { language: null, confidence: 0, script: null, candidates: [] };
+        }
+
+        const variant = (SCRIPT_VARIANTS[script] || []).find(([, pattern]) => pattern.test(value));
+        const language = variant ? variant[0] : SCRIPT_LANGUAGES.find(([name]) => name === script)[2];
+        const confidence = Number((variant ? share * 0.9 : share).toFixed(3));
+        return { language, confidence, script, candidates: [{ language, confidence }] };
+    }
+
+    // Naive Bayes over padded character trigrams; per-trigram likelihoods keep long texts from saturating
+    detectLatin(text, share, expected = null) {
+        const trigrams = this.trigrams(text);
+        if (trigrams.length === 0) {
+            return { language: null, confidence: 0, script: 'latin', candidates: [] };
+        }
+
+        const scores = Object.entries(this.profiles).map(([language, profile]) => {
+            const logLikelihood = trigrams.reduce((sum, trigram) => {
+                const count = profile.counts.get(trigram);
+                return sum + (count ? Math.log(count / profile.total) : this.unseenLog);
+            }, 0);
+            return [language, logLikelihood / trigrams.length];
+        });
+
+        // Softmax with a temperature that grows with the evidence (more trigrams → sharper);
+        // short headlines full of names are weak evidence, so their confidence is damped as well
+        const sharpness = Math.sqrt(trigrams.length);
+        const evidence = Math.min(1, Math.sqrt(trigrams.length / 30));
+        const best = Math.max(...scores.map(([, score]) => score));
+        const weights = scores.map(([language, score]) => [language, Math.exp((score - best) * sharpness)]);
+        const sum = weights.reduce((total, [, weight]) => total + weight, 0);
+        const ranked = weights
+            .map(([language, weight]) => ({ language, confidence: Number((weight / sum * share * evidence).toFixed(3)) }))
+            .sort((a, b) => b.confidence - a.confidence);
+        const candidates = ranked.slice(0, 3);
+
+        const expectedScore = scores.find(([language]) => language === expected);
+        if (expectedScore && best - expectedScore[1] < this.expectedMargin) {
+            const match = ranked.find(candidate => candidate.language === expected);
+            return { language: expected, confidence: match.confidence, script: 'latin', candidates };
+        }
+        return { language: candidates[0].language, confidence: candidates[0].confidence, script: 'latin', candidates };
+    }
+
+    trigrams(text) {
+        const words = String(text).toLowerCase().match(/\p{Script=Latin}+/gu) || [];
+        const trigrams = [];
+        words.forEach(word => {
+            const padded = ` ${word} `;
+            for (let i = 0; i + 3 <= padded.length; i++) {
+                trigrams.push(padded.substring(i, i + 3));
+            }
+        });
+        return trigrams;
+    }
+
+    buildProfiles(seeds) {
+        const profiles = {};
+        Object.entries(seeds).forEach(([language, words]) => {
+            const counts = new Map();
+            this.trigrams(words).forEach(trigram => counts.set(trigram, (counts.get(trigram) || 0) + 1));
+            const total = [...counts.values()].reduce((sum, count) => sum + count, 0);
+            profiles[language] = { counts, total };
+        });
+        return profiles;
+    }
+}
+
+module.exports = LanguageDetector;
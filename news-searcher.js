@@ -4,33 +4,152 @@ const xml2js = require('xml2js');
 const cheerio = require('cheerio');
 const { URL } = require('url');
 const ScreenshotService = require('./screenshot-service');
+const GoogleNewsQuery = require('./query-builder');
+const { mapWithConcurrency } = require('./concurrency');
+const { createDecodeCache } = require('./decode-cache');
+const { TokenBucketLimiter, CircuitBreaker, parseRetryAfter, backoffDelay } = require('./rate-limiter');
+const { ProxyPool, isProxyFailure, isProxyBlocked } = require('./proxy-pool');
+const UrlCanonicalizer = require('./url-canonicalizer');
+const { PublisherRegistry, getRegistrableDomain } = require('./publisher-registry');
+const { createSourceMappingStore } = require('./source-mappings');
+const { StoryClusterer } = require('./story-clusterer');
+const ArticleMetadataExtractor = require('./article-metadata');
+const ContentExtractor = require('./content-extractor');
+const { PageClassifier } = require('./page-classifier');
+const { RelevanceRanker, SORT_ORDERS } = require('./relevance-ranker');
+const LanguageDetector = require('./language-detector');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Section feeds published under /rss/headlines/section/topic/<TOPIC>
+const GOOGLE_NEWS_TOPICS = ['WORLD', 'NATION', 'BUSINESS', 'TECHNOLOGY', 'ENTERTAINMENT', 'SCIENCE', 'SPORTS', 'HEALTH'];
 
 class GoogleNewsDecoder {
-    constructor(proxy) {
-        let proxyConfig = null;
-        if (proxy) {
-            try {
-                const proxyUrl = new URL(proxy);
-                proxyConfig = {
-                    protocol: proxyUrl.protocol.replace(':', ''),
-                    host: proxyUrl.hostname,
-                    port: proxyUrl.port,
-                };
-                if (proxyUrl.username || proxyUrl.password) {
-                    proxyConfig.auth = {
-                        username: proxyUrl.username,
-                        password: proxyUrl.password,
-                    };
-                }
-            } catch (error) {
-                console.error("Invalid proxy URL format. Ignoring proxy.", error);
-            }
-        }
+    // proxy: a proxy URL, a list of proxy URLs or a ProxyPool (options.proxyPool holds ProxyPool options for lists)
+    // options.cache: a decode cache instance or { type: 'memory' | 'json' | 'sqlite', ... } (see decode-cache.js)
+    // options.rateLimiter / options.circuitBreaker: instances (to share across decoders) or their constructor options
+    // options.retry: { maxRetries, baseDelay, maxDelay } for 429/5xx/consent responses
+    constructor(proxy, options = {}) {
+        this.proxyPool = ProxyPool.from(proxy, options.proxyPool);
         this.client = axios.create({
-            proxy: proxyConfig,
             maxRedirects: 5,
             timeout: 10000
         });
+        this.cache = createDecodeCache(options.cache);
+        this.rateLimiter = options.rateLimiter instanceof TokenBucketLimiter
+            ? options.rateLimiter
+            : new TokenBucketLimiter(options.rateLimiter);
+        this.circuitBreaker = options.circuitBreaker instanceof CircuitBreaker
+            ? options.circuitBreaker
+            : new CircuitBreaker(options.circuitBreaker);
+        this.retry = {
+            maxRetries: 3,
+            baseDelay: 1000,
+            maxDelay: 30000,
+            ...options.retry
+        };
+    }
+
+    // Every request to Google goes through here: breaker check, token bucket, then retries with
+    // exponential backoff (or the server's Retry-After) when we are being throttled.
+    // Retries of a half-open probe stay the same probe, so the breaker is not checked again for them.
+    async request(config) {
+        let probe = false;
+        try {
+            for (let attempt = 0; ; attempt++) {
+                if (!probe) {
+                    probe = this.circuitBreaker.beforeRequest();
+                }
+                await this.rateLimiter.acquire();
+                // Picked per attempt so a retry can go out through a different proxy
+                const proxy = this.proxyPool ? this.proxyPool.select(config.url) : null;
+
+                try {
+                    const response = await this.client.request(proxy ? { ...config, proxy: proxy.axiosProxy } : config);
+                    if (this.isConsentResponse(response)) {
+                        const error = new Error('Redirected to Google consent page');
+                        error.code = 'CONSENT';
+                        error.response = response;
+                        throw error;
+                    }
+                    if (this.proxyPool) this.proxyPool.recordSuccess(proxy);
+                    this.circuitBreaker.recordSuccess();
+                    this.rateLimiter.reward();
+                    return response;
+                } catch (error) {
+                    const status = error.response && error.response.status;
+                    const throttled = status === 429 || error.code === 'CONSENT';
+
+                    if (this.proxyPool) {
+                        if (isProxyFailure(error) || isProxyBlocked(error)) {
+                            this.proxyPool.recordFailure(proxy);
+                        } else {
+                            this.proxyPool.recordSuccess(proxy);
+                        }
+                    }
+                    const retryable = throttled || status >= 500 || !error.response;
+
+                    if (throttled) {
+                        this.rateLimiter.penalize();
+                    }
+                    if (!retryable) {
+                        // A 404 or similar says nothing about Google's health
+                        throw error;
+                    }
+                    if (attempt >= this.retry.maxRetries) {
+                        this.circuitBreaker.recordFailure();
+                        throw error;
+                    }
+
+                    const retryAfter = error.response && error.response.headers ? parseRetryAfter(error.response.headers['retry-after']) : null;
+                    const wait = Math.min(this.retry.maxDelay, retryAfter !== null ? retryAfter : backoffDelay(attempt, this.retry.baseDelay, this.retry.maxDelay));
+                    console.log(`   ⏳ ${status || error.code || 'Network error'} from ${config.url.substring(0, 60)}; retrying in ${wait}ms (${attempt + 1}/${this.retry.maxRetries})`);
+                    await new Promise(resolve => setTimeout(resolve, wait));
+                }
+            }
+        } finally {
+            // A probe that ended without recordSuccess/recordFailure must not block every later request
+            if (probe && this.circuitBreaker.probeInFlight) {
+                this.circuitBreaker.release();
+            }
+        }
+    }
+
+    isConsentResponse(response) {
+        const finalUrl = response.request && response.request.res && response.request.res.responseUrl;
+        if (finalUrl && /^https:\/\/consent\.google\./.test(finalUrl)) {
+            return true;
+        }
+        return typeof response.data === 'string' && response.data.includes('action="https://consent.google.com/');
+    }
+
+    getHealth() {
+        return {
+            circuitBreaker: this.circuitBreaker.getState(),
+            rateLimiter: this.rateLimiter.getState(),
+            proxies: this.proxyPool ? this.proxyPool.getStats() : []
+        };
+    }
+
+    async getCached(base64Str) {
+        if (!this.cache) return null;
+        try {
+            const entry = await this.cache.get(base64Str);
+            return entry ? { status: true, decoded_url: entry.url, cached_at: entry.timestamp, method: 'cache' } : null;
+        } catch (error) {
+            console.warn(`⚠️  Decode cache read failed: ${error.message}`);
+            return null;
+        }
+    }
+
+    async storeCached(base64Str, result) {
+        // Offline decodes are cheaper than a cache lookup, so only network results are stored
+        if (!this.cache || !result.status || result.method !== 'batchexecute') return;
+        try {
+            await this.cache.set(base64Str, result.decoded_url);
+        } catch (error) {
+            console.warn(`⚠️  Decode cache write failed: ${error.message}`);
+        }
     }
 
     getBase64Str(sourceUrl) {
@@ -47,15 +166,112 @@ class GoogleNewsDecoder {
         }
     }
 
-    async getDecodingParams(base64Str) {
+    // Older article IDs ("CBMi...") are a base64 protobuf message that carries the source URL
+    // as a plain string field (with an optional AMP URL in field 26). Newer IDs carry an opaque
+    // "AU_yqL..." token instead and can only be resolved through batchexecute.
+    decodeBase64Locally(base64Str) {
+        try {
+            const buffer = Buffer.from(base64Str, 'base64');
+            const fields = this.parseProtobufFields(buffer);
+            const strings = fields
+                .filter(field => field.wireType === 2)
+                .map(field => ({ number: field.number, value: field.value.toString('utf8') }));
+
+            if (strings.some(field => field.value.startsWith('AU_yqL'))) {
+                return { status: false, requiresSignature: true, message: 'Article ID uses the opaque format; signature decoding required.' };
+            }
+
+            const urlField = strings.find(field => field.number !== 26 && /^https?:\/\/\S+$/.test(field.value));
+            if (!urlField) {
+                return { status: false, requiresSignature: true, message: 'No source URL found in article ID payload.' };
+            }
+
+            const ampField = strings.find(field => field.number === 26 && /^https?:\/\/\S+$/.test(field.value));
+            return {
+                status: true,
+                decoded_url: urlField.value,
+                amp_url: ampField ? ampField.value : null,
+                method: 'offline'
+            };
+        } catch (e) {
+            return { status: false, requiresSignature: true, message: `Error in decodeBase64Locally: ${e.message}` };
+        }
+    }
+
+    // Minimal protobuf wire-format reader: enough to walk the top-level fields of an article ID
+    parseProtobufFields(buffer) {
+        const fields = [];
+        let offset = 0;
+
+        while (offset < buffer.length) {
+            const tag = this.readVarint(buffer, offset);
+            offset = tag.offset;
+            const number = Math.floor(tag.value / 8);
+            const wireType = tag.value % 8;
+
+            if (number === 0) {
+                // Trailing zero padding
+                break;
+            }
+
+            if (wireType === 0) {
+                const varint = this.readVarint(buffer, offset);
+                fields.push({ number, wireType, value: varint.value });
+                offset = varint.offset;
+            } else if (wireType === 2) {
+                const length = this.readVarint(buffer, offset);
+                const end = length.offset + length.value;
+                if (end > buffer.length) {
+                    throw new Error(`Field ${number} overruns the payload`);
+                }
+                fields.push({ number, wireType, value: buffer.slice(length.offset, end) });
+                offset = end;
+            } else if (wireType === 1 || wireType === 5) {
+                const size = wireType === 1 ? 8 : 4;
+                fields.push({ number, wireType, value: buffer.slice(offset, offset + size) });
+                offset += size;
+            } else {
+                throw new Error(`Unsupported protobuf wire type ${wireType}`);
+            }
+        }
+
+        return fields;
+    }
+
+    readVarint(buffer, offset) {
+        let value = 0;
+        let multiplier = 1;
+
+        while (offset < buffer.length) {
+            const byte = buffer[offset++];
+            value += (byte & 0x7f) * multiplier;
+            if ((byte & 0x80) === 0) {
+                return { value, offset };
+            }
+            multiplier *= 128;
+        }
+
+        throw new Error('Truncated varint');
+    }
+
+    // Edition the article was found in; Google resolves some articles only for their own edition
+    getLocale(options = {}) {
+        return {
+            language: options.language || 'en',
+            country: (options.country || 'US').toUpperCase()
+        };
+    }
+
+    async getDecodingParams(base64Str, locale = this.getLocale()) {
+        const editionQuery = `hl=${locale.language}-${locale.country}&gl=${locale.country}&ceid=${locale.country}:${locale.language}`;
         const urlsToTry = [
-            `https://news.google.com/articles/${base64Str}`,
-            `https://news.google.com/rss/articles/${base64Str}`
+            `https://news.google.com/articles/${base64Str}?${editionQuery}`,
+            `https://news.google.com/rss/articles/${base64Str}?${editionQuery}`
         ];
 
         for (const url of urlsToTry) {
             try {
-                const response = await this.client.get(url);
+                const response = await this.request({ method: 'get', url });
                 const $ = cheerio.load(response.data);
                 const dataElement = $('c-wiz > div[jscontroller]');
 
@@ -68,10 +284,14 @@ class GoogleNewsDecoder {
                             signature,
                             timestamp,
                             base64Str,
+                            locale,
                         };
                     }
                 }
             } catch (error) {
+                if (error.code === 'CIRCUIT_OPEN') {
+                    return { status: false, message: error.message };
+                }
                 // Continue to next URL
                 continue;
             }
@@ -83,30 +303,36 @@ class GoogleNewsDecoder {
         };
     }
 
-    async decodeUrl(signature, timestamp, base64Str) {
-        const url = 'https://news.google.com/_/DotsSplashUi/data/batchexecute';
-        
-        const innerPayload = JSON.stringify([
+    buildDecodePayload(signature, timestamp, base64Str, locale = this.getLocale()) {
+        return JSON.stringify([
             "garturlreq",
             [
-                ["X", "X", ["X", "X"], null, null, 1, 1, "US:en", null, 1, null, null, null, null, null, 0, 1],
+                ["X", "X", ["X", "X"], null, null, 1, 1, `${locale.country}:${locale.language}`, null, 1, null, null, null, null, null, 0, 1],
                 "X", "X", 1, [1, 1, 1], 1, 1, null, 0, 0, null, 0
             ],
             base64Str,
             Number(timestamp),
             signature
         ]);
+    }
 
-        const outerPayload = [[["Fbv4je", innerPayload]]];
-        const requestBody = `f.req=${encodeURIComponent(JSON.stringify(outerPayload))}`;
+    async postBatchExecute(envelopes) {
+        const url = 'https://news.google.com/_/DotsSplashUi/data/batchexecute';
+        const requestBody = `f.req=${encodeURIComponent(JSON.stringify([envelopes]))}`;
 
         const headers = {
             'Content-Type': 'application/x-www-form-urlencoded;charset=UTF-8',
             'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/129.0.0.0 Safari/537.36',
         };
 
+        return this.request({ method: 'post', url, data: requestBody, headers });
+    }
+
+    async decodeUrl(signature, timestamp, base64Str, locale = this.getLocale()) {
+        const innerPayload = this.buildDecodePayload(signature, timestamp, base64Str, locale);
+
         try {
-            const response = await this.client.post(url, requestBody, { headers });
+            const response = await this.postBatchExecute([["Fbv4je", innerPayload]]);
             const responseLines = response.data.split('\n');
             const dataLine = responseLines.find(line => line.startsWith('[['));
 
@@ -124,14 +350,144 @@ class GoogleNewsDecoder {
         }
     }
 
-    async decodeGoogleNewsUrl(sourceUrl) {
+    // Decode several articles with one batchexecute POST. Each envelope carries its index as the
+    // request id, which Google echoes back as the last element of the matching "wrb.fr" row.
+    // Entries absent from an otherwise good response are marked missing so the caller can retry
+    // just those; when the POST itself fails nothing is marked, since retrying would repeat the failure.
+    async decodeUrlsBatch(paramsList) {
+        const envelopes = paramsList.map((params, index) => [
+            "Fbv4je",
+            this.buildDecodePayload(params.signature, params.timestamp, params.base64Str, params.locale),
+            null,
+            String(index + 1)
+        ]);
+
         try {
+            const response = await this.postBatchExecute(envelopes);
+            const rows = this.parseBatchExecuteRows(response.data).filter(row => row[0] === 'wrb.fr' && row[1] === 'Fbv4je');
+            const results = paramsList.map(() => ({ status: false, missing: true, message: 'No response for this article in the batch.' }));
+            const requestIndex = row => {
+                const requestId = Number(row[row.length - 1]);
+                return Number.isInteger(requestId) && requestId >= 1 && requestId <= paramsList.length ? requestId - 1 : null;
+            };
+            // Rows without an echoed id can only be matched by position when every row lacks one and the counts agree
+            const byPosition = rows.length === paramsList.length && rows.every(row => requestIndex(row) === null);
+
+            rows.forEach((row, position) => {
+                const index = byPosition ? position : requestIndex(row);
+                if (index === null) return;
+                try {
+                    const decodedUrl = row[2] ? JSON.parse(row[2])[1] : null;
+                    if (typeof decodedUrl === 'string' && decodedUrl) {
+                        results[index] = { status: true, decoded_url: decodedUrl, method: 'batchexecute', batched: true };
+                    } else {
+                        results[index] = { status: false, message: 'Empty payload for this article in the batch.' };
+                    }
+                } catch (e) {
+                    results[index] = { status: false, message: `Unparseable payload in batch: ${e.message}` };
+                }
+            });
+
+            return results;
+        } catch (e) {
+            return paramsList.map(() => ({ status: false, message: `Error in decodeUrlsBatch: ${e.message}` }));
+        }
+    }
+
+    // The response is a ")]}'" guard followed by length-prefixed chunks; collect every row of every JSON chunk
+    parseBatchExecuteRows(text) {
+        const rows = [];
+        for (const line of String(text).split('\n')) {
+            if (!line.startsWith('[[')) continue;
+            try {
+                rows.push(...JSON.parse(line));
+            } catch (e) {
+                // Not a complete JSON chunk
+            }
+        }
+        return rows;
+    }
+
+    // Decode many Google News URLs. Offline IDs never hit the network, the remaining ones share
+    // batchexecute requests of up to batchSize envelopes, and only entries missing from a batch
+    // response are retried one by one. Results come back in input order.
+    // Entries are URL strings or { url, language, country }; options.language/country set the default edition.
+    async decodeGoogleNewsUrls(sourceUrls, options = {}) {
+        const { batchSize = 20, paramsConcurrency = 3 } = options;
+        const results = new Array(sourceUrls.length);
+        const pending = [];
+
+        for (const [index, entry] of sourceUrls.entries()) {
+            const sourceUrl = typeof entry === 'string' ? entry : entry.url;
+            const locale = this.getLocale(typeof entry === 'string' ? options : { ...options, ...entry });
+            const base64Response = this.getBase64Str(sourceUrl);
+            if (!base64Response.status) {
+                results[index] = base64Response;
+                continue;
+            }
+            const localResponse = this.decodeBase64Locally(base64Response.base64Str);
+            if (localResponse.status) {
+                results[index] = localResponse;
+                continue;
+            }
+            const cachedResponse = await this.getCached(base64Response.base64Str);
+            if (cachedResponse || options.offlineOnly) {
+                results[index] = cachedResponse || localResponse;
+                continue;
+            }
+            pending.push({ index, base64Str: base64Response.base64Str, locale });
+        }
+
+        // Signatures still need one page fetch per article
+        const params = await mapWithConcurrency(pending, paramsConcurrency, item => this.getDecodingParams(item.base64Str, item.locale));
+        const ready = [];
+        params.forEach((paramsResponse, i) => {
+            if (paramsResponse.status) {
+                ready.push({ index: pending[i].index, base64Str: pending[i].base64Str, params: paramsResponse });
+            } else {
+                results[pending[i].index] = paramsResponse;
+            }
+        });
+
+        for (let i = 0; i < ready.length; i += batchSize) {
+            const chunk = ready.slice(i, i + batchSize);
+            const batchResults = await this.decodeUrlsBatch(chunk.map(item => item.params));
+
+            for (const [j, item] of chunk.entries()) {
+                if (!batchResults[j].missing) {
+                    results[item.index] = batchResults[j];
+                } else {
+                    const single = await this.decodeUrl(item.params.signature, item.params.timestamp, item.params.base64Str, item.params.locale);
+                    results[item.index] = single.status ? { ...single, method: 'batchexecute' } : single;
+                }
+                await this.storeCached(item.base64Str, results[item.index]);
+            }
+        }
+
+        return results;
+    }
+
+    // Pass { offlineOnly: true } to skip the network fallback entirely,
+    // and { language, country } for the edition the article came from
+    async decodeGoogleNewsUrl(sourceUrl, options = {}) {
+        try {
+            const locale = this.getLocale(options);
             const base64Response = this.getBase64Str(sourceUrl);
             if (!base64Response.status) {
                 return base64Response;
             }
 
-            const decodingParamsResponse = await this.getDecodingParams(base64Response.base64Str);
+            const localResponse = this.decodeBase64Locally(base64Response.base64Str);
+            if (localResponse.status) {
+                return localResponse;
+            }
+
+            const cachedResponse = await this.getCached(base64Response.base64Str);
+            if (cachedResponse || options.offlineOnly) {
+                return cachedResponse || localResponse;
+            }
+
+            const decodingParamsResponse = await this.getDecodingParams(base64Response.base64Str, locale);
             if (!decodingParamsResponse.status) {
                 return decodingParamsResponse;
             }
@@ -139,10 +495,17 @@ class GoogleNewsDecoder {
             const decodedUrlResponse = await this.decodeUrl(
                 decodingParamsResponse.signature,
                 decodingParamsResponse.timestamp,
-                decodingParamsResponse.base64Str
+                decodingParamsResponse.base64Str,
+                locale
             );
 
-            return decodedUrlResponse;
+            if (!decodedUrlResponse.status) {
+                return decodedUrlResponse;
+            }
+
+            const result = { ...decodedUrlResponse, method: 'batchexecute' };
+            await this.storeCached(base64Response.base64Str, result);
+            return result;
         } catch (e) {
             return { status: false, message: `Error in decodeGoogleNewsUrl: ${e.message}` };
         }
@@ -150,94 +513,327 @@ class GoogleNewsDecoder {
 }
 
 class IntegratedGoogleNewsSearcher {
-    constructor(proxy = null) {
+    // proxy: a proxy URL, a list of proxy URLs or a ProxyPool; options.proxyPool holds ProxyPool options.
+    // The same pool serves RSS fetches and every decoder request.
+    // options.decodeCache is passed to GoogleNewsDecoder as its cache
+    constructor(proxy = null, options = {}) {
         this.baseUrl = 'https://news.google.com/rss';
         this.parser = new xml2js.Parser({ explicitArray: false });
-        this.decoder = new GoogleNewsDecoder(proxy);
-        this.screenshotService = new ScreenshotService();
+        this.proxyPool = ProxyPool.from(proxy, options.proxyPool);
+        this.decoder = new GoogleNewsDecoder(this.proxyPool, { cache: options.decodeCache });
+        this.canonicalizer = new UrlCanonicalizer({ request: config => this.requestWithProxy(config) });
+        // Bundled publishers.json plus any extra registry files/entries from options.publishers
+        this.publishers = PublisherRegistry.from(options.publishers);
+        // Source → domain observations from successful decodes, in memory unless options.sourceMappings
+        // is true or has a filePath (false disables learning)
+        this.sourceMappings = createSourceMappingStore(options.sourceMappings);
+        // Default similarity settings for story clustering; per-call options.clustering overrides them
+        this.clusterer = new StoryClusterer(options.clustering);
+        this.metadataExtractor = new ArticleMetadataExtractor();
+        this.contentExtractor = new ContentExtractor(options.contentExtraction);
+        this.pageClassifier = new PageClassifier(options.pageClassification);
+        // BM25/recency/authority weights for sort: 'relevance'; per-call options.ranking overrides them
+        this.ranker = this.createRanker(options.ranking);
+        this.languageDetector = new LanguageDetector(options.languageDetection);
+        // Created on first use: only needed when screenshots are classified from OCR text
+        this.ocrService = options.ocrService || null;
+        // options.screenshots: { provider, providers, profiles, qualityCheck } for ScreenshotService; screenshotOptions.provider overrides per call
+        this.screenshotService = new ScreenshotService(options.screenshots);
         
         // Stats for tracking decoder performance
-        this.decodingStats = {
-            total: 0,
-            successful: 0,
-            failed: 0
-        };
+        this.decodingStats = this.createStats();
+    }
+
+    async searchNews(keyword, language = 'en', country = 'US', maxResults = 50, decodeUrls = true, captureScreenshots = false, screenshotOptions = {}, options = {}) {
+        try {
+            const query = this.resolveQuery(keyword);
+            const searchUrl = this.buildSearchUrl(query, language, country);
+            console.log(`🔍 Searching for: "${query}"`);
+            return await this.fetchFeed(searchUrl, { keyword: query, language, country }, maxResults, decodeUrls, captureScreenshots, screenshotOptions, undefined, options);
+        } catch (error) {
+            console.error('❌ Search failed:', error.message);
+            return {
+                success: false,
+                error: error.message,
+                articles: []
+            };
+        }
+    }
+
+    // Top headlines for an edition (the feed behind the Google News home page)
+    async getTopStories(language = 'en', country = 'US', maxResults = 50, decodeUrls = true, captureScreenshots = false, screenshotOptions = {}, options = {}) {
+        try {
+            const feedUrl = this.buildFeedUrl('', language, country);
+            console.log(`🔍 Fetching top stories (${language}-${country})`);
+            return await this.fetchFeed(feedUrl, { feed: 'top', language, country }, maxResults, decodeUrls, captureScreenshots, screenshotOptions, undefined, options);
+        } catch (error) {
+            console.error('❌ Top stories fetch failed:', error.message);
+            return {
+                success: false,
+                error: error.message,
+                articles: []
+            };
+        }
+    }
+
+    // Accepts either a named section (BUSINESS, TECHNOLOGY, ...) or a Google News topic ID
+    async getTopic(topic, language = 'en', country = 'US', maxResults = 50, decodeUrls = true, captureScreenshots = false, screenshotOptions = {}, options = {}) {
+        try {
+            const feedUrl = this.buildTopicUrl(topic, language, country);
+            console.log(`🔍 Fetching topic: "${topic}"`);
+            return await this.fetchFeed(feedUrl, { feed: 'topic', topic, language, country }, maxResults, decodeUrls, captureScreenshots, screenshotOptions, undefined, options);
+        } catch (error) {
+            console.error('❌ Topic fetch failed:', error.message);
+            return {
+                success: false,
+                error: error.message,
+                articles: []
+            };
+        }
     }
 
-    async searchNews(keyword, language = 'en', country = 'US', maxResults = 50, decodeUrls = true, captureScreenshots = false, screenshotOptions = {}) {
+    // Local headlines for a place name, e.g. "London" or "San Francisco"
+    async getGeo(location, language = 'en', country = 'US', maxResults = 50, decodeUrls = true, captureScreenshots = false, screenshotOptions = {}, options = {}) {
         try {
-            const searchUrl = this.buildSearchUrl(keyword, language, country);
-            console.log(`🔍 Searching for: "${keyword}"`);
-            console.log(`📡 URL: ${searchUrl}`);
-
-            const response = await axios.get(searchUrl, {
-                headers: {
-                    'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36',
-                },
-                timeout: 15000
+            const feedUrl = this.buildGeoUrl(location, language, country);
+            console.log(`🔍 Fetching local news for: "${location}"`);
+            return await this.fetchFeed(feedUrl, { feed: 'geo', location, language, country }, maxResults, decodeUrls, captureScreenshots, screenshotOptions, undefined, options);
+        } catch (error) {
+            console.error('❌ Geo fetch failed:', error.message);
+            return {
+                success: false,
+                error: error.message,
+                articles: []
+            };
+        }
+    }
+
+    // Run every keyword against every locale and merge the results.
+    // Each query gets its own stats object so concurrent decodes don't mix their counts.
+    async searchMultiple(keywords, locales = [{ language: 'en', country: 'US' }], options = {}) {
+        const {
+            maxResults = 50,
+            maxTotal = null,
+            decodeUrls = true,
+            concurrency = 2,
+            captureScreenshots = false,
+            screenshotOptions = {}
+        } = options;
+
+        try {
+            if (!Array.isArray(keywords) || keywords.length === 0) {
+                throw new Error('searchMultiple needs at least one keyword');
+            }
+            if (!Array.isArray(locales) || locales.length === 0) {
+                throw new Error('searchMultiple needs at least one { language, country } locale');
+            }
+
+            // Build every URL up front so a bad keyword or locale fails before any request
+            const tasks = [];
+            for (const keyword of keywords) {
+                for (const { language, country } of locales) {
+                    const query = this.resolveQuery(keyword);
+                    tasks.push({ query, language, country, url: this.buildSearchUrl(query, language, country) });
+                }
+            }
+
+            console.log(`🔍 Multi-search: ${keywords.length} keyword(s) × ${locales.length} locale(s) = ${tasks.length} queries (concurrency ${concurrency})`);
+
+            const queryResults = await mapWithConcurrency(tasks, concurrency, async (task) => {
+                const stats = this.createStats();
+                const attribution = { keyword: task.query, language: task.language, country: task.country };
+                try {
+                    console.log(`\n🔍 [${task.language}-${task.country}] "${task.query}"`);
+                    const result = await this.fetchFeed(task.url, { keyword: task.query, language: task.language, country: task.country }, maxResults, decodeUrls, false, {}, stats, options);
+                    result.articles.forEach(article => {
+                        article.foundBy = [{ ...attribution }];
+                    });
+                    return { ...attribution, success: true, articles: result.articles, decodingStats: stats };
+                } catch (error) {
+                    console.error(`❌ Query failed [${task.language}-${task.country}] "${task.query}": ${error.message}`);
+                    return { ...attribution, success: false, error: error.message, articles: [], decodingStats: stats };
+                }
             });
 
-            const parsed = await this.parser.parseStringPromise(response.data);
-            const articles = await this.extractArticles(parsed, maxResults, decodeUrls);
+            console.log(`\n🔍 Merging results from ${queryResults.length} queries...`);
+            // Rescore against every query so scores from different feeds are comparable
+            const query = options.query || tasks.map(task => task.query).filter((q, index, all) => all.indexOf(q) === index).join(' OR ');
+            const ranked = this.rankArticles(queryResults.flatMap(result => result.articles), query, options);
+            const merged = this.clusterArticles(this.removeDuplicateUrls(ranked), options);
+            const articles = maxTotal ? merged.slice(0, maxTotal) : merged;
+            console.log(`✨ Merged: ${articles.length} unique articles`);
 
-            // Capture screenshots if requested
             if (captureScreenshots && articles.length > 0) {
-                console.log(`\n📸 Starting screenshot capture...`);
-                const defaultScreenshotOptions = {
-                    batchSize: 2,
-                    batchDelay: 2000,
-                    delay: 3,
-                    timeout: 30,
-                    ...screenshotOptions
-                };
-                
-                const screenshotResult = await this.screenshotService.batchCapture(
-                    articles.map(article => ({
-                        ...article,
-                        decodedUrl: article.realUrl || article.link,
-                        id: this.generateArticleId(article)
-                    })),
-                    {
-                        ...defaultScreenshotOptions,
-                        targetCount: maxResults
+                await this.captureArticleScreenshots(articles, articles.length, screenshotOptions);
+            }
+
+            return {
+                success: true,
+                keywords: tasks.map(task => task.query).filter((query, index, all) => all.indexOf(query) === index),
+                locales,
+                totalResults: articles.length,
+                articles,
+                queries: queryResults.map(({ articles: queryArticles, ...summary }) => ({
+                    ...summary,
+                    totalResults: queryArticles.length
+                })),
+                decodingStats: this.withDecoderHealth(this.mergeStats(queryResults.map(result => result.decodingStats)))
+            };
+        } catch (error) {
+            console.error('❌ Multi-search failed:', error.message);
+            return {
+                success: false,
+                error: error.message,
+                articles: []
+            };
+        }
+    }
+
+    // Google News RSS stops at roughly 100 items per query. Deep search splits [from, to) into
+    // after:/before: day windows and keeps halving any window whose feed comes back full.
+    async searchDeep(keyword, options = {}) {
+        const {
+            from,
+            to = new Date(),
+            language = 'en',
+            country = 'US',
+            windowDays = null,
+            saturationThreshold = 95,
+            maxResults = null,
+            decodeUrls = true,
+            concurrency = 2,
+            captureScreenshots = false,
+            screenshotOptions = {}
+        } = options;
+
+        try {
+            const startDay = this.toUtcDay(from, 'from');
+            const endDay = this.toUtcDay(to, 'to') + DAY_MS; // include the whole "to" day
+            if (startDay >= endDay) {
+                throw new Error('Deep search "from" must not be after "to"');
+            }
+            this.validateLocale(language, country);
+            // The windows replace any when:/after:/before: of the keyword; Google News cannot combine when: with dates
+            let windowKeyword = keyword;
+            let replaced = false;
+            if (keyword instanceof GoogleNewsQuery) {
+                replaced = Boolean(keyword.whenValue || keyword.afterDate || keyword.beforeDate);
+                windowKeyword = keyword.clone();
+                windowKeyword.whenValue = null;
+                windowKeyword.afterDate = null;
+                windowKeyword.beforeDate = null;
+            } else if (typeof keyword === 'string') {
+                windowKeyword = GoogleNewsQuery.stripOperators(keyword, ['when', 'after', 'before']);
+                replaced = windowKeyword !== keyword.trim();
+            }
+            const baseQuery = this.resolveQuery(windowKeyword);
+            if (replaced) {
+                console.log(`⚠️  Deep search replaces the keyword's when:/after:/before: with its own windows`);
+            }
+
+            // Initial windows: the whole range, or fixed-size chunks when windowDays is set
+            let queue = [];
+            const chunk = windowDays ? Math.max(1, Math.floor(windowDays)) * DAY_MS : endDay - startDay;
+            for (let start = startDay; start < endDay; start += chunk) {
+                queue.push({ start, end: Math.min(start + chunk, endDay) });
+            }
+
+            console.log(`🔍 Deep search for "${baseQuery}" from ${this.formatUtcDay(startDay)} to ${this.formatUtcDay(endDay - DAY_MS)}`);
+
+            const windows = [];
+            const collected = [];
+            const stats = this.createStats();
+
+            // Breadth-first so concurrency stays bounded while saturated windows are split
+            while (queue.length > 0) {
+                const nextQueue = [];
+                await mapWithConcurrency(queue, concurrency, async (window) => {
+                    const after = this.formatUtcDay(window.start);
+                    const before = this.formatUtcDay(window.end);
+                    let parsed;
+                    try {
+                        const query = this.buildWindowQuery(windowKeyword, after, before);
+                        parsed = await this.fetchRss(this.buildSearchUrl(query, language, country));
+                    } catch (error) {
+                        // One failed window only leaves a gap; it is reported in windows/failedWindows
+                        console.log(`   ❌ ${after} → ${before}: ${error.message}`);
+                        windows.push({ after, before, rawCount: 0, saturated: false, split: false, error: error.message });
+                        return;
                     }
-                );
-                
-                // Store screenshot paths in article objects
-                screenshotResult.results.forEach((result, index) => {
-                    if (articles[index]) {
-                        articles[index].screenshot = {
-                            success: result.success,
-                            filePath: result.filePath || null,
-                            fileName: result.fileName || null,
-                            error: result.error || null,
-                            timestamp: result.timestamp
-                        };
+                    const rawCount = this.getFeedItems(parsed).length;
+                    const days = Math.round((window.end - window.start) / DAY_MS);
+                    const saturated = rawCount >= saturationThreshold;
+
+                    if (saturated && days > 1) {
+                        const middle = window.start + Math.floor(days / 2) * DAY_MS;
+                        console.log(`   🪓 ${after} → ${before}: ${rawCount} items (saturated), splitting`);
+                        nextQueue.push({ start: window.start, end: middle }, { start: middle, end: window.end });
+                        windows.push({ after, before, rawCount, saturated, split: true });
+                        return;
+                    }
+
+                    if (saturated) {
+                        console.log(`   ⚠️  ${after} → ${before}: ${rawCount} items in a single day, results may be incomplete`);
+                    } else {
+                        console.log(`   📅 ${after} → ${before}: ${rawCount} items`);
                     }
+                    windows.push({ after, before, rawCount, saturated, split: false });
+                    const windowOptions = { cluster: false, strictLanguage: options.strictLanguage, minLanguageConfidence: options.minLanguageConfidence };
+                    collected.push(...await this.extractArticles(parsed, Infinity, false, stats, { language, country }, windowOptions));
                 });
-                
-                console.log(`📊 Screenshot Summary: ${screenshotResult.summary.successful}/${screenshotResult.summary.total} captured (${screenshotResult.summary.successRate})`);
+                queue = nextQueue;
             }
 
-            // Print decoding stats
-            if (decodeUrls && this.decodingStats.total > 0) {
-                console.log(`\n📊 URL Decoding Stats:`);
-                console.log(`   Total attempts: ${this.decodingStats.total}`);
-                console.log(`   Successful: ${this.decodingStats.successful}`);
-                console.log(`   Failed: ${this.decodingStats.failed}`);
-                console.log(`   Success rate: ${Math.round((this.decodingStats.successful / this.decodingStats.total) * 100)}%`);
+            const failedWindows = windows.filter(w => w.error);
+            if (failedWindows.length > 0 && failedWindows.length === windows.length) {
+                throw new Error(`All ${windows.length} deep search windows failed: ${failedWindows[0].error}`);
             }
 
+            console.log(`\n🔍 Merging ${collected.length} articles from ${windows.filter(w => !w.split).length} windows...`);
+            // Deep search keeps its newest-first order unless another sort is requested
+            const rankOptions = { ...options, sort: options.sort || 'date' };
+            let articles = this.removeDuplicateUrls(this.rankArticles(collected, baseQuery, rankOptions));
+            if (maxResults) {
+                articles = articles.slice(0, maxResults);
+            }
+
+            if (decodeUrls && articles.length > 0) {
+                await this.decodeArticlesBatched(articles, stats);
+                await this.canonicalizeArticles(articles, options);
+                articles.forEach(article => this.attachPublisher(article));
+                // Decoded URLs can expose duplicates that the Google links hid
+                articles = this.removeDuplicateUrls(articles);
+            }
+            articles = this.clusterArticles(articles, options);
+            if (decodeUrls && (options.enrich || options.extractContent || options.classify)) {
+                await this.enrichArticles(articles, options);
+                if (options.extractContent) {
+                    articles.forEach(article => this.detectArticleLanguage(article));
+                    this.rankArticles(articles, baseQuery, rankOptions);
+                }
+            }
+
+            if (captureScreenshots && articles.length > 0) {
+                await this.captureArticleScreenshots(articles, articles.length, screenshotOptions);
+            }
+
+            windows.sort((a, b) => a.after.localeCompare(b.after) || b.before.localeCompare(a.before));
+
             return {
                 success: true,
-                keyword,
+                keyword: baseQuery,
+                from: this.formatUtcDay(startDay),
+                to: this.formatUtcDay(endDay - DAY_MS),
                 totalResults: articles.length,
-                articles: articles,
-                decodingStats: this.decodingStats
+                articles,
+                windows,
+                requests: windows.length,
+                incomplete: failedWindows.length > 0 || windows.some(w => w.saturated && !w.split),
+                failedWindows: failedWindows.length,
+                decodingStats: this.withDecoderHealth(stats)
             };
-
         } catch (error) {
-            console.error('❌ Search failed:', error.message);
+            console.error('❌ Deep search failed:', error.message);
             return {
                 success: false,
                 error: error.message,
@@ -246,128 +842,438 @@ class IntegratedGoogleNewsSearcher {
         }
     }
 
-    buildSearchUrl(keyword, language, country) {
-        const encodedKeyword = encodeURIComponent(keyword);
-        return `${this.baseUrl}/search?q=${encodedKeyword}&hl=${language}-${country}&gl=${country}&ceid=${country}:${language}`;
+    buildWindowQuery(keyword, after, before) {
+        if (keyword instanceof GoogleNewsQuery) {
+            return keyword.clone().after(after).before(before);
+        }
+        return `${this.resolveQuery(keyword)} after:${after} before:${before}`;
     }
 
-    async decodeArticleUrl(article, index) {
-        const startTime = Date.now();
-        console.log(`🔓 Decoding URL ${index + 1}: ${article.title.substring(0, 50)}...`);
+    toUtcDay(value, name) {
+        const date = value instanceof Date ? value : new Date(typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value) ? `${value}T00:00:00Z` : value);
+        if (value === undefined || value === null || isNaN(date.getTime())) {
+            throw new Error(`Deep search "${name}" must be a Date or YYYY-MM-DD string`);
+        }
+        return Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate());
+    }
+
+    formatUtcDay(time) {
+        return new Date(time).toISOString().substring(0, 10);
+    }
+
+    // Shared pipeline for every feed type: fetch, extract/decode, screenshot, report
+    // options.canonicalize: fetch each decoded page to resolve redirects, rel=canonical and og:url
+    // options.sort: 'rss' (default), 'relevance' or 'date'; search feeds are scored against their query
+    // options.strictLanguage: drop articles detected as a different language than the feed edition
+    async fetchFeed(feedUrl, feedInfo, maxResults, decodeUrls, captureScreenshots, screenshotOptions, stats = this.decodingStats, options = {}) {
+        console.log(`📡 URL: ${feedUrl}`);
+        this.resolveSort(options.sort);
+
+        const parsed = await this.fetchRss(feedUrl);
+        const extractOptions = feedInfo.keyword && !options.query ? { ...options, query: feedInfo.keyword } : options;
+        const articles = await this.extractArticles(parsed, maxResults, decodeUrls, stats, { language: feedInfo.language, country: feedInfo.country }, extractOptions);
+
+        // Capture screenshots if requested
+        if (captureScreenshots && articles.length > 0) {
+            await this.captureArticleScreenshots(articles, maxResults, screenshotOptions);
+        }
+
+        // Print decoding stats
+        if (decodeUrls && stats.total > 0) {
+            console.log(`\n📊 URL Decoding Stats:`);
+            console.log(`   Total attempts: ${stats.total}`);
+            console.log(`   Successful: ${stats.successful}`);
+            console.log(`   Decoded offline: ${stats.offline}`);
+            console.log(`   Decoded in batches: ${stats.batched}`);
+            console.log(`   Cache hits: ${stats.cacheHits}`);
+            console.log(`   Circuit breaker: ${this.decoder.circuitBreaker.state}`);
+            console.log(`   Failed: ${stats.failed}`);
+            console.log(`   Success rate: ${Math.round((stats.successful / stats.total) * 100)}%`);
+        }
+
+        return {
+            success: true,
+            ...feedInfo,
+            totalResults: articles.length,
+            articles: articles,
+            decodingStats: this.withDecoderHealth(stats)
+        };
+    }
+
+    async fetchRss(feedUrl) {
+        const response = await this.requestWithProxy({
+            method: 'get',
+            url: feedUrl,
+            headers: {
+                'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36',
+            },
+            timeout: 15000
+        }, { google: true });
+
+        return this.parser.parseStringPromise(response.data);
+    }
+
+    // Publisher article page as text, following redirects
+    async fetchArticlePage(url) {
+        const response = await this.requestWithProxy({
+            method: 'get',
+            url,
+            maxRedirects: 10,
+            responseType: 'text',
+            maxContentLength: 5 * 1024 * 1024,
+            headers: {
+                'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/129.0.0.0 Safari/537.36',
+                'Accept': 'text/html,application/xhtml+xml'
+            },
+            timeout: 15000
+        });
+
+        return {
+            html: typeof response.data === 'string' ? response.data : '',
+            finalUrl: (response.request && response.request.res && response.request.res.responseUrl) || url,
+            status: response.status
+        };
+    }
+
+    // Fetch each decoded article's page once, label it in article.access (ok, paywall, consent, captcha, error)
+    // and attach what was asked for: options.enrich → article.metadata (authors, section, timestamps, image,
+    // canonical URL, keywords, language and per-field provenance); options.extractContent → article.content
+    async enrichArticles(articles, options = {}) {
+        const targets = articles.filter(article => article.realUrl);
+        if (targets.length === 0) return;
+
+        const concurrency = options.enrichConcurrency || 4;
+        console.log(`\n🗞️  Enriching ${targets.length} articles from publisher pages (concurrency ${concurrency})...`);
+        let enriched = 0;
+        await mapWithConcurrency(targets, concurrency, async (article) => {
+            try {
+                const page = await this.fetchArticlePage(article.realUrl);
+                article.access = this.pageClassifier.classifyHtml(page.html, { status: page.status, finalUrl: page.finalUrl });
+                if (options.enrich) {
+                    article.metadata = this.metadataExtractor.extract(page.html, page.finalUrl);
+                }
+                if (options.extractContent) {
+                    // null when the page has no readable body (paywall, consent wall, script-rendered); OCR still works there
+                    article.content = this.contentExtractor.extract(page.html, page.finalUrl);
+                }
+                enriched++;
+            } catch (error) {
+                console.log(`   ⚠️  Enrichment failed for ${article.realUrl.substring(0, 60)}: ${error.message}`);
+                if (options.enrich) article.metadata = null;
+                if (options.extractContent) article.content = null;
+                article.enrichmentError = error.message;
+                // Bot walls usually answer 403/429 with a challenge page worth classifying
+                article.access = error.response
+                    ? this.pageClassifier.classifyHtml(error.response.data, { status: error.response.status, finalUrl: article.realUrl })
+                    : this.pageClassifier.result('error', ['fetch-failed'], 'html');
+            }
+        });
+        const blocked = targets.filter(article => article.access && article.access.blocked).length;
+        console.log(`   ✅ Enriched ${enriched}/${targets.length} articles${blocked ? ` (${blocked} paywall/consent/captcha)` : ''}`);
+    }
+
+    // Readable body of a decoded article URL: { title, text, paragraphs, headings, images, wordCount } or null
+    async getArticleContent(url) {
+        const page = await this.fetchArticlePage(url);
+        return this.contentExtractor.extract(page.html, page.finalUrl);
+    }
+
+    // Plain axios request routed through the proxy pool (if any), with per-proxy health tracking.
+    // options.google: the target is Google, so a 429/403/consent answer means the proxy's IP is blocked.
+    async requestWithProxy(config, options = {}) {
+        const proxy = this.proxyPool ? this.proxyPool.select(config.url) : null;
+        try {
+            const response = await axios.request(proxy ? { ...config, proxy: proxy.axiosProxy } : config);
+            if (proxy) this.proxyPool.recordSuccess(proxy);
+            return response;
+        } catch (error) {
+            if (proxy) {
+                if (isProxyFailure(error) || (options.google && isProxyBlocked(error))) {
+                    this.proxyPool.recordFailure(proxy);
+                } else {
+                    this.proxyPool.recordSuccess(proxy);
+                }
+            }
+            throw error;
+        }
+    }
+
+    // Promoted source → domain mappings learned from decodes; also written to filePath when given
+    async exportSourceMappings(filePath = null) {
+        if (!this.sourceMappings) {
+            return { generatedAt: new Date().toISOString(), mappings: [] };
+        }
+        return filePath ? this.sourceMappings.exportToFile(filePath) : this.sourceMappings.export();
+    }
+
+    getProxyStats() {
+        return this.proxyPool ? this.proxyPool.getStats() : [];
+    }
+
+    async captureArticleScreenshots(articles, targetCount, screenshotOptions = {}) {
+        console.log(`\n📸 Starting screenshot capture...`);
+        const defaultScreenshotOptions = {
+            concurrency: 3,
+            perHostConcurrency: 1,
+            delay: 3,
+            timeout: 30,
+            ...screenshotOptions
+        };
         
-        this.decodingStats.total++;
+        const screenshotResult = await this.screenshotService.batchCapture(
+            articles.map(article => ({
+                ...article,
+                // Capture the page that was decoded; the canonical URL is only a dedup key and may not render the same
+                decodedUrl: article.realUrl || article.link,
+                id: this.generateArticleId(article)
+            })),
+            {
+                ...defaultScreenshotOptions,
+                targetCount: targetCount,
+                inspect: (result, article) => this.classifyCapture(result, article, screenshotOptions)
+            }
+        );
         
-        try {
-            const result = await this.decoder.decodeGoogleNewsUrl(article.link);
-            const duration = Date.now() - startTime;
-            
-            if (result.status) {
-                this.decodingStats.successful++;
-                article.realUrl = result.decoded_url;
-                article.domain = this.extractDomainFromUrl(result.decoded_url);
-                console.log(`   ✅ Success: ${article.domain} (${duration}ms)`);
-                return true;
-            } else {
-                this.decodingStats.failed++;
-                console.log(`   ❌ Failed: ${result.message} (${duration}ms)`);
-                // Fallback to improved domain extraction method
-                article.domain = this.extractRealDomain(article);
-                console.log(`   🔄 Fallback domain: ${article.domain}`);
-                return false;
+        // Store screenshot paths in article objects
+        screenshotResult.results.forEach(result => {
+            if (articles[result.index]) {
+                articles[result.index].screenshot = {
+                    success: result.success,
+                    filePath: result.filePath || null,
+                    fileName: result.fileName || null,
+                    error: result.error || null,
+                    timestamp: result.timestamp,
+                    provider: result.provider || null,
+                    profile: result.profile || null,
+                    access: result.classification || null,
+                    retriedFrom: result.retriedFrom || null,
+                    derivatives: result.derivatives || [],
+                    quality: result.quality || null
+                };
+            }
+        });
+        
+        console.log(`📊 Screenshot Summary: ${screenshotResult.summary.successful}/${screenshotResult.summary.total} captured (${screenshotResult.summary.successRate})${screenshotResult.summary.suspect ? `, ${screenshotResult.summary.suspect} blank or duplicate` : ''}`);
+        return screenshotResult;
+    }
+
+    // Label a capture from its OCR text when screenshotOptions.ocrClassify is set. Otherwise use the HTML the
+    // browser rendered, then the article's fetched-page label, and as a last resort fetch the page once
+    async classifyCapture(result, article, screenshotOptions = {}) {
+        if (screenshotOptions.ocrClassify) {
+            const languageHints = screenshotOptions.ocrLanguageHints || this.getOcrLanguageHints(article);
+            const ocr = await this.getOcrService().extractTextFromImage(result.filePath, { languageHints });
+            if (ocr.success || ocr.error === 'No text detected') {
+                return this.pageClassifier.classifyText(ocr.fullText);
+            }
+            console.log(`   ⚠️  OCR classification failed: ${ocr.error}`);
+        }
+
+        const metadata = result.metadata || {};
+        if (typeof metadata.html === 'string') {
+            return this.pageClassifier.classifyHtml(metadata.html, { finalUrl: metadata.finalUrl || result.url });
+        }
+        if (!article.access) {
+            const url = metadata.finalUrl || result.url;
+            try {
+                const page = await this.fetchArticlePage(url);
+                article.access = this.pageClassifier.classifyHtml(page.html, { status: page.status, finalUrl: page.finalUrl });
+            } catch (error) {
+                article.access = error.response
+                    ? this.pageClassifier.classifyHtml(error.response.data, { status: error.response.status, finalUrl: url })
+                    : null;
             }
-        } catch (error) {
-            const duration = Date.now() - startTime;
-            this.decodingStats.failed++;
-            console.log(`   ❌ Error: ${error.message} (${duration}ms)`);
-            article.domain = this.extractRealDomain(article);
-            console.log(`   🔄 Fallback domain: ${article.domain}`);
-            return false;
         }
+        return article.access || null;
     }
 
-    // Process articles in parallel batches for faster decoding
-    async decodeArticlesInBatches(articles, batchSize = 5) {
+    // Vision OCR hints: the detected language when it is reliable, then the feed edition's language
+    getOcrLanguageHints(article) {
+        const hints = [];
+        const detected = article.detectedLanguage;
+        if (detected && detected.language && detected.confidence >= 0.5) {
+            hints.push(detected.language);
+        }
+        if (article.edition && article.edition.language) {
+            hints.push(this.languageDetector.normalize(article.edition.language));
+        }
+        return [...new Set(hints)];
+    }
+
+    getOcrService() {
+        if (!this.ocrService) {
+            const OCRService = require('./ocr-service');
+            this.ocrService = new OCRService();
+        }
+        return this.ocrService;
+    }
+
+    // Accepts a plain keyword string or a GoogleNewsQuery builder
+    buildSearchUrl(keyword, language, country) {
+        const encodedKeyword = encodeURIComponent(this.resolveQuery(keyword));
+        return this.buildFeedUrl(`/search?q=${encodedKeyword}`, language, country);
+    }
+
+    resolveQuery(keyword) {
+        if (keyword instanceof GoogleNewsQuery) {
+            return keyword.build();
+        }
+        if (typeof keyword !== 'string' || !keyword.trim()) {
+            throw new Error('Search keyword must be a non-empty string or a GoogleNewsQuery');
+        }
+        return keyword;
+    }
+
+    buildTopicUrl(topic, language, country) {
+        if (typeof topic !== 'string' || !topic.trim()) {
+            throw new Error('Topic must be a non-empty string');
+        }
+
+        const name = topic.trim().toUpperCase();
+        if (GOOGLE_NEWS_TOPICS.includes(name)) {
+            return this.buildFeedUrl(`/headlines/section/topic/${name}`, language, country);
+        }
+
+        // Topic IDs are long base64-style tokens, e.g. CAAqJggKIiBDQkFTRWdvSUwyMHZNRGx6TVdZU0FtVnVHZ0pWVXlnQVAB
+        if (/^[A-Za-z0-9_-]{20,}$/.test(topic.trim())) {
+            return this.buildFeedUrl(`/topics/${topic.trim()}`, language, country);
+        }
+
+        throw new Error(`Unknown topic "${topic}". Use one of ${GOOGLE_NEWS_TOPICS.join(', ')} or a Google News topic ID`);
+    }
+
+    buildGeoUrl(location, language, country) {
+        if (typeof location !== 'string' || !location.trim()) {
+            throw new Error('Location must be a non-empty string');
+        }
+        return this.buildFeedUrl(`/headlines/section/geo/${encodeURIComponent(location.trim())}`, language, country);
+    }
+
+    buildFeedUrl(feedPath, language, country) {
+        this.validateLocale(language, country);
+        const separator = feedPath.includes('?') ? '&' : '?';
+        // A language that already names its region (pt-BR, es-419) is the hl value as it is
+        const hl = /-([a-z]{2}|\d{3})$/i.test(language) ? language : `${language}-${country}`;
+        return `${this.baseUrl}${feedPath}${separator}hl=${hl}&gl=${country}&ceid=${country}:${language}`;
+    }
+
+    validateLocale(language, country) {
+        // BCP-47 language with an optional script and/or region subtag: en, zh-Hans, zh-Hant-TW, pt-BR, es-419
+        if (typeof language !== 'string' || !/^[a-z]{2,3}(-[a-z]{4})?(-([a-z]{2}|\d{3}))?$/i.test(language)) {
+            throw new Error(`Invalid language code "${language}". Expected a language tag such as "en", "pt-BR" or "zh-Hant"`);
+        }
+        if (typeof country !== 'string' || !/^[a-z]{2}$/i.test(country)) {
+            throw new Error(`Invalid country code "${country}". Expected an ISO 3166-1 alpha-2 code such as "US"`);
+        }
+    }
+
+    applyDecodeResult(article, result, stats, duration) {
+        if (result.status) {
+            stats.successful++;
+            this.countLocale(stats, article, 'successful');
+            if (result.method === 'offline') {
+                stats.offline++;
+            }
+            if (result.batched) {
+                stats.batched++;
+            }
+            if (result.method === 'cache') {
+                stats.cacheHits++;
+            }
+            article.realUrl = result.decoded_url;
+            article.domain = this.extractDomainFromUrl(result.decoded_url);
+            if (this.sourceMappings) {
+                this.sourceMappings.record(article.source, article.sourceUrl, article.domain);
+            }
+            console.log(`   ✅ Success: ${article.domain} (${duration}ms${['offline', 'cache'].includes(result.method) ? `, ${result.method}` : ''})`);
+            return true;
+        }
+
+        stats.failed++;
+        this.countLocale(stats, article, 'failed');
+        console.log(`   ❌ Failed: ${result.message} (${duration}ms)`);
+        // Fallback to improved domain extraction method
+        article.domain = this.extractRealDomain(article);
+        console.log(`   🔄 Fallback domain: ${article.domain}`);
+        return false;
+    }
+
+    // Per-edition breakdown, e.g. stats.byLocale['hi-IN'] = { total, successful, failed }
+    countLocale(stats, article, field) {
+        const key = article.edition ? `${article.edition.language}-${article.edition.country}` : 'unknown';
+        stats.byLocale = stats.byLocale || {};
+        stats.byLocale[key] = stats.byLocale[key] || { total: 0, successful: 0, failed: 0 };
+        stats.byLocale[key][field]++;
+    }
+
+    // Decode articles through the decoder's batch API: one batchexecute POST per batchSize articles
+    // instead of one per article, which keeps us well under Google's throttling threshold.
+    // Resolves with one boolean per article: whether it was decoded.
+    async decodeArticlesBatched(articles, stats = this.decodingStats, batchSize = 20) {
         const totalStart = Date.now();
-        console.log(`🚀 Starting parallel decoding of ${articles.length} URLs in batches of ${batchSize}...`);
-        
-        for (let i = 0; i < articles.length; i += batchSize) {
-            const batch = articles.slice(i, i + batchSize);
-            const batchStart = Date.now();
-            
-            console.log(`\n📦 Processing batch ${Math.floor(i / batchSize) + 1}: URLs ${i + 1}-${Math.min(i + batchSize, articles.length)}`);
-            
-            // Decode all URLs in this batch in parallel
-            const promises = batch.map((article, batchIndex) => 
-                this.decodeArticleUrl(article, i + batchIndex)
+        console.log(`🚀 Starting batched decoding of ${articles.length} URLs (up to ${batchSize} per request)...`);
+
+        stats.total += articles.length;
+        articles.forEach(article => this.countLocale(stats, article, 'total'));
+        let results;
+        try {
+            results = await this.decoder.decodeGoogleNewsUrls(
+                articles.map(article => ({ url: article.link, ...(article.edition || {}) })),
+                { batchSize }
             );
-            
-            await Promise.all(promises);
-            
-            const batchDuration = Date.now() - batchStart;
-            console.log(`✅ Batch completed in ${batchDuration}ms`);
-            
-            // Small delay between batches to be respectful
-            if (i + batchSize < articles.length) {
-                await new Promise(resolve => setTimeout(resolve, 200));
-            }
+        } catch (error) {
+            results = articles.map(() => ({ status: false, message: error.message }));
         }
-        
-        const totalDuration = Date.now() - totalStart;
-        console.log(`\n🎯 All ${articles.length} URLs processed in ${totalDuration}ms (avg: ${Math.round(totalDuration / articles.length)}ms per URL)`);
+
+        const duration = Date.now() - totalStart;
+        const decoded = results.map((result, index) => {
+            console.log(`🔓 URL ${index + 1}: ${articles[index].title.substring(0, 50)}...`);
+            return this.applyDecodeResult(articles[index], result, stats, duration);
+        });
+
+        console.log(`\n🎯 All ${articles.length} URLs processed in ${duration}ms (avg: ${Math.round(duration / Math.max(articles.length, 1))}ms per URL)`);
+        return decoded;
+    }
+
+    // Older entry points, kept for existing callers; both go through the batched decoder
+    async decodeArticleUrl(article, index, stats = this.decodingStats) {
+        const [decoded] = await this.decodeArticlesBatched([article], stats);
+        return decoded;
+    }
+
+    async decodeArticlesInBatches(articles, batchSize = 5, stats = this.decodingStats) {
+        return this.decodeArticlesBatched(articles, stats, batchSize);
     }
 
+    // Registry domain for known publishers, otherwise the registrable domain (news.bbc.co.uk → bbc.co.uk)
     extractDomainFromUrl(url) {
         try {
-            const urlObj = new URL(url);
-            return urlObj.hostname.replace(/^www\./, '');
+            const hostname = new URL(url).hostname;
+            const publisher = this.publishers.findByHost(hostname);
+            return publisher ? publisher.domain : getRegistrableDomain(hostname);
         } catch (e) {
             return 'unknown-domain';
         }
     }
 
-    // Extract domain from Google News URL patterns
+    // Extract domain hints from the path of a Google News URL (the host is always Google's)
     extractDomainFromGoogleNewsUrl(googleNewsUrl) {
         try {
-            // Pattern 1: Look for domain hints in the URL path
-            const domainPatterns = [
-                // Common news domains that appear in Google News URLs
-                /(?:cnn|bbc|reuters|bloomberg|wsj|nytimes|washingtonpost|theguardian|forbes|cnbc|yahoo|apnews|npr|techcrunch|businessinsider|cointelegraph|coindesk|investing|barrons|tradingview|cointribune|cryptoslate|hindustantimes|timesofindia|ndtv|mathrubhumi|indiatoday|businesstoday|goodreturns|people|futurism|investors|fool|barchart|ccn|dlnews|ainvest|thecryptobasic)/i,
-                // Look for domain-like patterns in the URL
-                /([a-zA-Z0-9-]+)\.(com|org|net|co\.uk|in|ai|io|tv|news)/i
-            ];
-            
-            for (const pattern of domainPatterns) {
-                const match = googleNewsUrl.match(pattern);
-                if (match) {
-                    const domain = match[0].toLowerCase();
-                    // Map common abbreviations to full domains
-                    const domainMap = {
-                        'cnn': 'cnn.com',
-                        'bbc': 'bbc.com',
-                        'wsj': 'wsj.com',
-                        'nytimes': 'nytimes.com',
-                        'reuters': 'reuters.com',
-                        'bloomberg': 'bloomberg.com',
-                        'forbes': 'forbes.com',
-                        'cnbc': 'cnbc.com',
-                        'yahoo': 'yahoo.com',
-                        'npr': 'npr.org',
-                        'techcrunch': 'techcrunch.com',
-                        'businessinsider': 'businessinsider.com',
-                        'cointelegraph': 'cointelegraph.com',
-                        'coindesk': 'coindesk.com',
-                        'investing': 'investing.com',
-                        'barrons': 'barrons.com',
-                        'tradingview': 'tradingview.com',
-                        'cointribune': 'cointribune.com',
-                        'cryptoslate': 'cryptoslate.com',
-                        'people': 'people.com',
-                        'futurism': 'futurism.com'
-                    };
-                    return domainMap[domain] || domain;
-                }
+            const urlObj = new URL(googleNewsUrl);
+            const hint = decodeURIComponent(urlObj.pathname + urlObj.search);
+
+            // Pattern 1: A known publisher name as a whole token
+            const publisher = this.publishers.findInText(hint);
+            if (publisher) {
+                return publisher.domain;
             }
-            
+
+            // Pattern 2: Domain-like text
+            const match = hint.match(/([a-zA-Z0-9-]+\.)+(com|org|net|co\.uk|in|ai|io|tv|news)\b/i);
+            if (match && !/(^|\.)google\./i.test(match[0])) {
+                return this.extractDomainFromUrl(`https://${match[0]}`);
+            }
+
             return null;
         } catch (e) {
             return null;
@@ -378,6 +1284,14 @@ class IntegratedGoogleNewsSearcher {
         // Try multiple strategies to extract domain
         let domain = null;
         
+        // Mappings learned from earlier successful decodes beat every heuristic below
+        if (this.sourceMappings) {
+            domain = this.sourceMappings.lookup(article.source, article.sourceUrl);
+            if (domain) {
+                return domain;
+            }
+        }
+        
         // Strategy 1: Extract from Google News URL pattern
         if (article.link) {
             domain = this.extractDomainFromGoogleNewsUrl(article.link);
@@ -386,75 +1300,19 @@ class IntegratedGoogleNewsSearcher {
             }
         }
         
-        // Strategy 2: Map from source name
+        // Strategy 2: Look the source name up in the publisher registry
         if (article.source && article.source !== 'Unknown') {
             const sourceName = article.source.toLowerCase();
             
-            const sourceMapping = {
-                'wsj': 'wsj.com',
-                'wall street journal': 'wsj.com',
-                'reuters': 'reuters.com',
-                'cnn': 'cnn.com',
-                'bbc': 'bbc.com',
-                'guardian': 'theguardian.com',
-                'the guardian': 'theguardian.com',
-                'bloomberg': 'bloomberg.com',
-                'techcrunch': 'techcrunch.com',
-                'cointelegraph': 'cointelegraph.com',
-                'coindesk': 'coindesk.com',
-                'forbes': 'forbes.com',
-                'cnbc': 'cnbc.com',
-                'yahoo': 'yahoo.com',
-                'yahoo finance': 'finance.yahoo.com',
-                'associated press': 'apnews.com',
-                'ap': 'apnews.com',
-                'npr': 'npr.org',
-                'new york times': 'nytimes.com',
-                'nytimes': 'nytimes.com',
-                'washington post': 'washingtonpost.com',
-                'people.com': 'people.com',
-                'people': 'people.com',
-                'hindustan times': 'hindustantimes.com',
-                'times of india': 'timesofindia.indiatimes.com',
-                'ndtv': 'ndtv.com',
-                'business insider': 'businessinsider.com',
-                'goodreturns': 'goodreturns.in',
-                'mathrubhumi': 'mathrubhumi.com',
-                'business today': 'businesstoday.in',
-                'india today': 'indiatoday.in',
-                'investing.com': 'investing.com',
-                'investing': 'investing.com',
-                'barrons': 'barrons.com',
-                'tradingview': 'tradingview.com',
-                'cointribune': 'cointribune.com',
-                'cryptoslate': 'cryptoslate.com',
-                'bitcoin.com': 'news.bitcoin.com',
-                'bitcoin.com news': 'news.bitcoin.com',
-                'ccn': 'ccn.com',
-                'thecryptobasic': 'thecryptobasic.com',
-                'dlnews': 'dlnews.com',
-                'ainvest': 'ainvest.com',
-                'futurism': 'futurism.com',
-                'investor\'s business daily': 'investors.com',
-                'investors': 'investors.com',
-                'the motley fool': 'fool.com',
-                'motley fool': 'fool.com',
-                'barchart': 'barchart.com',
-                'investopedia': 'investopedia.com',
-                'aboutamazon': 'aboutamazon.com',
-                'amazon': 'aboutamazon.com'
-            };
-            
-            for (const [name, domainValue] of Object.entries(sourceMapping)) {
-                if (sourceName.includes(name)) {
-                    return domainValue;
-                }
+            const publisher = this.publishers.findBySource(sourceName);
+            if (publisher) {
+                return publisher.domain;
             }
             
             // Strategy 3: Extract domain-like patterns from source name
-            const domainMatch = sourceName.match(/([a-zA-Z0-9-]+\.[a-zA-Z]{2,})/);
+            const domainMatch = sourceName.match(/([a-zA-Z0-9-]+\.)+[a-zA-Z]{2,}/);
             if (domainMatch) {
-                return domainMatch[1];
+                return this.extractDomainFromUrl(`https://${domainMatch[0]}`);
             }
             
             // Strategy 4: Try to create a reasonable domain from source name
@@ -493,30 +1351,21 @@ class IntegratedGoogleNewsSearcher {
         return `${cleanTitle}_${hash}`;
     }
 
+    // Exact URL duplicates only; rewrites of the same story are handled by clusterArticles
     removeDuplicateUrls(articles) {
-        const seenUrls = new Set();
-        const seenTitles = new Set();
+        const seenUrls = new Map();
         const uniqueArticles = [];
         
         for (const article of articles) {
-            const normalizedUrl = (article.realUrl || article.link).toLowerCase();
+            const normalizedUrl = this.getUrlKey(article);
             
             if (seenUrls.has(normalizedUrl)) {
                 console.log(`🔄 Duplicate URL skipped: ${article.title.substring(0, 50)}...`);
+                this.mergeAttribution(seenUrls.get(normalizedUrl), article);
                 continue;
             }
             
-            const normalizedTitle = article.title.toLowerCase().replace(/[^\w\s]/g, '');
-            const titleWords = normalizedTitle.split(' ').filter(w => w.length > 3);
-            const titleKey = titleWords.slice(0, 5).join(' ');
-            
-            if (seenTitles.has(titleKey)) {
-                console.log(`🔄 Similar title skipped: ${article.title.substring(0, 50)}...`);
-                continue;
-            }
-            
-            seenUrls.add(normalizedUrl);
-            seenTitles.add(titleKey);
+            seenUrls.set(normalizedUrl, article);
             uniqueArticles.push(article);
             console.log(`✅ Added: ${article.title.substring(0, 50)}... (${article.domain})`);
         }
@@ -524,27 +1373,229 @@ class IntegratedGoogleNewsSearcher {
         return uniqueArticles;
     }
 
-    async extractArticles(parsed, maxResults, decodeUrls = true) {
-        try {
-            const channel = parsed.rss.channel;
-            let items = channel.item || [];
-            
-            if (!Array.isArray(items)) {
-                items = [items];
+    getUrlKey(article) {
+        return (article.canonicalUrl || article.realUrl || article.link).toLowerCase();
+    }
+
+    createRanker(options = {}) {
+        return new RelevanceRanker({ authority: article => this.getAuthority(article), ...options });
+    }
+
+    // Registry authority when set; other known publishers count as 0.5, unknown ones as 0.
+    // Before decoding the publisher comes from the feed source name.
+    getAuthority(article) {
+        const publisher = article.publisher !== undefined
+            ? article.publisher
+            : this.publishers.describe(this.publishers.findBySource(article.source));
+        if (!publisher) return 0;
+        return publisher.authority !== null && publisher.authority !== undefined ? publisher.authority : 0.5;
+    }
+
+    resolveSort(sort = 'rss') {
+        if (!SORT_ORDERS.includes(sort)) {
+            throw new Error(`Unknown sort "${sort}". Use ${SORT_ORDERS.join(', ')}`);
+        }
+        return sort;
+    }
+
+    // Score articles against the query and order them in place.
+    // article.score = { bm25, relevance, recency, authority, total }; options.sort: 'rss' keeps feed
+    // order, 'relevance' sorts by score.total, 'date' newest first.
+    rankArticles(articles, query, options = {}) {
+        const sort = this.resolveSort(options.sort);
+        if (articles.length === 0) return articles;
+
+        const ranker = options.ranking ? this.createRanker(options.ranking) : this.ranker;
+        const scores = ranker.score(articles, query || '');
+        articles.forEach((article, index) => {
+            article.score = scores[index];
+        });
+
+        if (sort === 'relevance') {
+            articles.sort((a, b) => b.score.total - a.score.total);
+        } else if (sort === 'date') {
+            // Missing or unparseable dates sort as the oldest so the comparator stays consistent
+            const time = article => new Date(article.pubDate).getTime() || 0;
+            articles.sort((a, b) => time(b) - time(a));
+        }
+        return articles;
+    }
+
+    // article.detectedLanguage = { language, confidence, script } from title, description and extracted body text
+    detectArticleLanguage(article) {
+        const body = article.content && article.content.text ? article.content.text.substring(0, 2000) : '';
+        // Headlines are short and full of names: the edition's language stands unless another one scores clearly better
+        const expected = article.edition ? article.edition.language : null;
+        const result = this.languageDetector.detect(`${article.title || ''}. ${article.description || ''} ${body}`, { expected });
+        article.detectedLanguage = { language: result.language, confidence: result.confidence, script: result.script };
+        return article.detectedLanguage;
+    }
+
+    // Strict language mode: drop articles confidently detected as another language than the edition's.
+    // Undetected and low-confidence articles are kept; options.minLanguageConfidence defaults to 0.8.
+    filterByLanguage(articles, language, options = {}) {
+        const expected = this.languageDetector.normalize(language);
+        if (!this.languageDetector.supports(expected)) {
+            console.log(`⚠️  Language "${language}" is not supported by the detector, strict language filter skipped`);
+            return articles;
+        }
+
+        const minConfidence = options.minLanguageConfidence !== undefined ? options.minLanguageConfidence : 0.8;
+        const kept = articles.filter(article => {
+            const detected = article.detectedLanguage;
+            return !detected || !detected.language || detected.language === expected || detected.confidence < minConfidence;
+        });
+        if (kept.length < articles.length) {
+            console.log(`🌐 Dropped ${articles.length - kept.length} article(s) not in "${expected}"`);
+        }
+        return kept;
+    }
+
+    // Group near-duplicate articles into story clusters.
+    // options.cluster: 'collapse' (default) keeps one representative per story with the members in
+    // article.cluster, 'tag' keeps every article and tags it with clusterId, false disables clustering.
+    clusterArticles(articles, options = {}) {
+        const mode = options.cluster === undefined ? 'collapse' : options.cluster;
+        if (!mode || articles.length === 0) return articles;
+        if (!['collapse', 'tag'].includes(mode)) {
+            throw new Error(`Unknown cluster mode "${mode}". Use collapse, tag or false`);
+        }
+
+        // Articles collapsed by an earlier pass (e.g. per query in searchMultiple) join as their members
+        const flattened = articles.flatMap(article => article.cluster && mode === 'tag' ? article.cluster.members : [article]);
+        const clusterer = options.clustering ? new StoryClusterer(options.clustering) : this.clusterer;
+        const clusters = clusterer.cluster(flattened);
+        console.log(`🧩 Clustered ${flattened.length} articles into ${clusters.length} stories`);
+
+        if (mode === 'tag') {
+            clusters.forEach(cluster => {
+                cluster.members.forEach(member => {
+                    delete member.cluster;
+                    member.clusterId = cluster.id;
+                    member.clusterSize = cluster.size;
+                    member.isClusterRepresentative = member === cluster.representative;
+                });
+            });
+            return flattened;
+        }
+
+        return clusters.map(cluster => {
+            const representative = cluster.representative;
+            const members = cluster.members.flatMap(member =>
+                member.cluster ? member.cluster.members : [this.summarizeClusterMember(member)]
+            );
+            cluster.members.forEach(member => {
+                if (member !== representative) {
+                    this.mergeAttribution(representative, member);
+                }
+            });
+            if (cluster.size > 1) {
+                console.log(`🔄 ${cluster.size - 1} similar article(s) collapsed into: ${representative.title.substring(0, 50)}...`);
             }
+            representative.clusterId = cluster.id;
+            representative.cluster = { id: cluster.id, size: members.length, members };
+            return representative;
+        });
+    }
+
+    summarizeClusterMember(article) {
+        return {
+            title: article.title,
+            source: article.source,
+            domain: article.domain,
+            link: article.link,
+            realUrl: article.realUrl || null,
+            pubDate: article.pubDate
+        };
+    }
+
+    // Carry multi-search attribution from a dropped duplicate over to the article that was kept
+    mergeAttribution(kept, duplicate) {
+        if (!duplicate.foundBy) return;
+        kept.foundBy = kept.foundBy || [];
+        for (const entry of duplicate.foundBy) {
+            const exists = kept.foundBy.some(existing =>
+                existing.keyword === entry.keyword &&
+                existing.language === entry.language &&
+                existing.country === entry.country
+            );
+            if (!exists) {
+                kept.foundBy.push(entry);
+            }
+        }
+    }
+
+    // Set article.canonicalUrl for every decoded article. Offline normalization always runs;
+    // with options.canonicalize the page is fetched for redirects, rel=canonical and og:url.
+    async canonicalizeArticles(articles, options = {}) {
+        const decoded = articles.filter(article => article.realUrl);
+        if (decoded.length === 0) return;
+
+        if (!options.canonicalize) {
+            decoded.forEach(article => {
+                article.canonicalUrl = this.canonicalizer.normalize(article.realUrl);
+            });
+            return;
+        }
+
+        console.log(`\n🧭 Resolving canonical URLs for ${decoded.length} articles...`);
+        await mapWithConcurrency(decoded, options.canonicalizeConcurrency || 4, async (article) => {
+            const result = await this.canonicalizer.resolve(article.realUrl);
+            article.canonicalUrl = result.canonicalUrl;
+            article.canonicalSource = result.source;
+            if (result.rejected) {
+                result.rejected.forEach(entry => console.log(`   ⚠️  Ignored ${entry.source} ${entry.url.substring(0, 60)} (${entry.reason})`));
+            }
+            if (result.canonicalUrl !== this.canonicalizer.normalize(article.realUrl)) {
+                article.domain = this.extractDomainFromUrl(result.canonicalUrl);
+                console.log(`   🧭 ${article.realUrl.substring(0, 60)} → ${result.canonicalUrl.substring(0, 60)} (${result.source})`);
+            }
+        });
+    }
+
+    // article.publisher: registry metadata (name, country, language, paywall) or null for unknown publishers.
+    // The source name is only consulted when the real URL is unknown.
+    attachPublisher(article) {
+        const publisher = (article.domain && this.publishers.findByHost(article.domain)) ||
+            (!article.realUrl ? this.publishers.findBySource(article.source) : null);
+        article.publisher = this.publishers.describe(publisher);
+    }
+
+    getFeedItems(parsed) {
+        const items = parsed.rss.channel.item || [];
+        return Array.isArray(items) ? items : [items];
+    }
+
+    // edition: { language, country } of the feed, kept on each article so decoding uses the same edition
+    async extractArticles(parsed, maxResults, decodeUrls = true, stats = this.decodingStats, edition = null, options = {}) {
+        try {
+            const items = this.getFeedItems(parsed);
 
             // Extract all articles first
-            const allArticles = items.map(item => ({
+            let allArticles = items.map(item => ({
                 title: this.cleanTitle(item.title),
                 link: item.link,
                 pubDate: new Date(item.pubDate),
                 description: this.stripHtml(item.description || ''),
                 source: this.extractSourceName(item.source),
-                guid: item.guid._ || item.guid
+                sourceUrl: this.extractSourceUrl(item.source),
+                guid: item.guid._ || item.guid,
+                edition: edition ? { language: edition.language, country: edition.country.toUpperCase() } : null
             }));
+            allArticles.forEach((article, index) => {
+                article.relatedCoverage = this.parseRelatedCoverage(items[index].description, article.link, article.edition);
+            });
 
             console.log(`📰 Found ${allArticles.length} raw articles`);
 
+            allArticles.forEach(article => this.detectArticleLanguage(article));
+            if (options.strictLanguage && edition) {
+                allArticles = this.filterByLanguage(allArticles, edition.language, options);
+            }
+
+            // Rank before decoding so the decode budget and deduplication favour the best matches
+            this.rankArticles(allArticles, options.query, options);
+
             // Decode URLs if requested (with smart limiting)
             if (decodeUrls && allArticles.length > 0) {
                 console.log(`\n🔓 Starting URL decoding process...`);
@@ -556,9 +1607,8 @@ class IntegratedGoogleNewsSearcher {
                 
                 console.log(`📊 Attempting to decode ${articlesToDecode.length} URLs...`);
                 
-                // Use parallel batch processing for much faster decoding
-                const batchSize = Math.min(articlesToDecode.length <= 10 ? 3 : 5, articlesToDecode.length);
-                await this.decodeArticlesInBatches(articlesToDecode, batchSize);
+                // One batchexecute request per batch instead of one per article
+                await this.decodeArticlesBatched(articlesToDecode, stats);
                 
                 // Copy decoded info back to original articles
                 for (let i = 0; i < articlesToDecode.length; i++) {
@@ -572,6 +1622,8 @@ class IntegratedGoogleNewsSearcher {
                 for (let i = articlesToDecode.length; i < allArticles.length; i++) {
                     allArticles[i].domain = this.extractRealDomain(allArticles[i]);
                 }
+
+                await this.canonicalizeArticles(allArticles, options);
             } else {
                 // Apply improved domain extraction to all articles
                 console.log(`\n🔍 Extracting domains without URL decoding...`);
@@ -586,12 +1638,26 @@ class IntegratedGoogleNewsSearcher {
                 }
             }
 
+            allArticles.forEach(article => this.attachPublisher(article));
+
             console.log(`\n🔍 Processing and removing duplicates...`);
-            const uniqueArticles = this.removeDuplicateUrls(allArticles);
+            const uniqueArticles = this.clusterArticles(this.removeDuplicateUrls(allArticles), options);
             
             console.log(`✨ After deduplication: ${uniqueArticles.length} unique articles`);
 
-            return uniqueArticles.slice(0, maxResults);
+            const results = uniqueArticles.slice(0, maxResults);
+            if (decodeUrls && options.decodeRelated) {
+                await this.decodeRelatedCoverage(results, stats, options);
+            }
+            if (decodeUrls && (options.enrich || options.extractContent || options.classify)) {
+                await this.enrichArticles(results, options);
+                if (options.extractContent) {
+                    // Extracted body text joins the BM25 fields and the language evidence
+                    results.forEach(article => this.detectArticleLanguage(article));
+                    this.rankArticles(results, options.query, options);
+                }
+            }
+            return results;
 
         } catch (error) {
             console.error('❌ Error extracting articles:', error);
@@ -599,6 +1665,53 @@ class IntegratedGoogleNewsSearcher {
         }
     }
 
+    // Google News descriptions list other outlets' coverage as <ol><li><a href>title</a> <font>source</font></li></ol>.
+    // The item's own link and the "Full Coverage" story link are left out.
+    parseRelatedCoverage(descriptionHtml, itemLink, edition = null) {
+        if (typeof descriptionHtml !== 'string' || !descriptionHtml.includes('<li')) return [];
+
+        const $ = cheerio.load(descriptionHtml);
+        const ownLink = String(itemLink || '').split('?')[0];
+        const entries = [];
+        $('ol li').each((_, li) => {
+            const anchor = $(li).find('a').first();
+            const link = anchor.attr('href');
+            if (!link || !/\/articles\//.test(link) || link.split('?')[0] === ownLink) return;
+            entries.push({
+                title: anchor.text().trim(),
+                link,
+                source: $(li).find('font').first().text().trim() || 'Unknown',
+                edition
+            });
+        });
+        return entries;
+    }
+
+    // options.decodeRelated: decode relatedCoverage entries like top-level articles and drop repeats.
+    // Their counts go to stats.related so the top-level decoding stats only describe the results.
+    async decodeRelatedCoverage(articles, stats = this.decodingStats, options = {}) {
+        const entries = articles.flatMap(article => article.relatedCoverage || []);
+        if (entries.length === 0) return;
+
+        console.log(`\n📰 Decoding ${entries.length} related coverage links...`);
+        stats.related = stats.related || this.createStats();
+        await this.decodeArticlesBatched(entries, stats.related);
+        await this.canonicalizeArticles(entries, options);
+        entries.forEach(entry => this.attachPublisher(entry));
+
+        // A related link that is itself one of the results is not extra coverage
+        const resultKeys = articles.map(article => this.getUrlKey(article));
+        articles.forEach(article => {
+            const seen = new Set(resultKeys);
+            article.relatedCoverage = article.relatedCoverage.filter(entry => {
+                const key = this.getUrlKey(entry);
+                if (seen.has(key)) return false;
+                seen.add(key);
+                return true;
+            });
+        });
+    }
+
     extractSourceName(source) {
         if (!source) return 'Unknown';
         
@@ -611,6 +1724,11 @@ class IntegratedGoogleNewsSearcher {
         return sourceName || 'Unknown';
     }
 
+    // <source url="..."> attribute, usually the publisher's home page
+    extractSourceUrl(source) {
+        return (source && source.$ && source.$.url) || null;
+    }
+
     cleanTitle(title) {
         if (!title) return '';
         return title.replace(/\s*-\s*[^-]+$/, '').trim();
@@ -620,17 +1738,58 @@ class IntegratedGoogleNewsSearcher {
         return html.replace(/<[^>]*>/g, '').trim();
     }
 
-    // Reset stats for new search
-    resetStats() {
-        this.decodingStats = {
+    createStats() {
+        return {
             total: 0,
             successful: 0,
-            failed: 0
+            failed: 0,
+            offline: 0,
+            batched: 0,
+            cacheHits: 0,
+            byLocale: {}
         };
     }
+
+    // Attach the decoder's breaker and limiter state to a stats object
+    withDecoderHealth(stats) {
+        const health = this.decoder.getHealth();
+        stats.circuitBreaker = health.circuitBreaker;
+        stats.rateLimiter = health.rateLimiter;
+        stats.proxies = health.proxies;
+        return stats;
+    }
+
+    // Sum several stats objects, e.g. the per-query stats of a multi-search
+    mergeStats(statsList) {
+        const merged = this.createStats();
+        for (const stats of statsList) {
+            for (const key of Object.keys(merged)) {
+                if (key === 'byLocale') continue;
+                merged[key] += stats[key] || 0;
+            }
+            for (const [locale, counts] of Object.entries(stats.byLocale || {})) {
+                merged.byLocale[locale] = merged.byLocale[locale] || { total: 0, successful: 0, failed: 0 };
+                for (const [field, value] of Object.entries(counts)) {
+                    merged.byLocale[locale][field] += value;
+                }
+            }
+        }
+        const related = statsList.filter(stats => stats.related).map(stats => stats.related);
+        if (related.length > 0) {
+            merged.related = this.mergeStats(related);
+        }
+        return merged;
+    }
+
+    // Reset stats for new search
+    resetStats() {
+        this.decodingStats = this.createStats();
+    }
 }
 
 module.exports = {
     IntegratedGoogleNewsSearcher,
-    GoogleNewsDecoder
+    GoogleNewsDecoder,
+    GoogleNewsQuery,
+    GOOGLE_NEWS_TOPICS
 };
\ No newline at end of file
@@ -23,14 +23,25 @@ class OCRService {
     /**
      * Extract text from image using Google Cloud Vision API
      * @param {string} imagePath - Path to the image file
+     * @param {Object} [options]
+     * @param {string[]} [options.languageHints] - BCP-47 codes passed to Vision as imageContext.languageHints
+     *   (empty lets Vision detect the language itself)
      * @returns {Promise<Object>} OCR results with text, bounding boxes, and confidence scores
      */
-    async extractTextFromImage(imagePath) {
+    async extractTextFromImage(imagePath, options = {}) {
         try {
             console.log(`📖 Starting OCR extraction for: ${path.basename(imagePath)}`);
             
+            const languageHints = (options.languageHints || []).filter(Boolean);
+            const request = languageHints.length > 0
+                ? { image: { source: { filename: imagePath } }, imageContext: { languageHints } }
+                : imagePath;
+            if (languageHints.length > 0) {
+                console.log(`🌐 Language hints: ${languageHints.join(', ')}`);
+            }
+
             // Perform text detection
-            const [result] = await this.client.textDetection(imagePath);
+            const [result] = await this.client.textDetection(request);
             const detections = result.textAnnotations;
             
             if (!detections || detections.length === 0) {
@@ -73,7 +84,7 @@ class OCRService {
             }
             
             // Get additional text properties using document text detection
-            const [documentResult] = await this.client.documentTextDetection(imagePath);
+            const [documentResult] = await this.client.documentTextDetection(request);
             const documentText = documentResult.fullTextAnnotation;
             
             let enhancedTextBlocks = textBlocks;
@@ -86,6 +97,7 @@ class OCRService {
                 success: true,
                 imagePath: imagePath,
                 fullText: fullText,
+                languageHints: languageHints,
                 textBlocks: enhancedTextBlocks,
                 totalBlocks: enhancedTextBlocks.length,
                 averageConfidence: this.calculateAverageConfidence(enhancedTextBlocks),
@@ -243,12 +255,13 @@ class OCRService {
     /**
      * Process a single screenshot image
      * @param {string} imagePath - Path to the image file
+     * @param {Object} [options] - Passed to extractTextFromImage (languageHints)
      * @returns {Promise<Object>} Complete OCR processing result
      */
-    async processScreenshot(imagePath) {
+    async processScreenshot(imagePath, options = {}) {
         try {
             // Extract text from image
-            const ocrResult = await this.extractTextFromImage(imagePath);
+            const ocrResult = await this.extractTextFromImage(imagePath, options);
             
             if (!ocrResult.success) {
                 return ocrResult;
@@ -396,16 +409,17 @@ class OCRService {
     /**
      * Batch process multiple screenshots
      * @param {Array} imagePaths - Array of image paths to process
+     * @param {Object} [options] - Passed to extractTextFromImage (languageHints)
      * @returns {Promise<Array>} Array of processing results
      */
-    async batchProcessScreenshots(imagePaths) {
+    async batchProcessScreenshots(imagePaths, options = {}) {
         console.log(`🔄 Starting batch OCR processing for ${imagePaths.length} images`);
         
         const results = [];
         
         for (const imagePath of imagePaths) {
             console.log(`Processing: ${path.basename(imagePath)}`);
-            const result = await this.processScreenshot(imagePath);
+            const result = await this.processScreenshot(imagePath, options);
             results.push(result);
             
             // Small delay to avoid rate limiting
@@ -0,0 +1,204 @@
+// page-classifier.js - Label fetched pages and screenshots as ok, paywall, consent, captcha or error
+const cheerio = require('cheerio');
+const { URL } = require('url');
+
+const LABELS = ['ok', 'paywall', 'consent', 'captcha', 'error'];
+const BLOCKED_LABELS = ['paywall', 'consent', 'captcha'];
+
+// Bot-protection interstitials; any of these means the page itself is a challenge
+const CAPTCHA_MARKERS = [
+    ['cloudflare-challenge', /cf-chl-|cf_chl_opt|challenge-platform|cf-browser-verification/i],
+    ['datadome', /captcha-delivery\.com|datadome/i],
+    ['perimeterx', /px-captcha|_pxCaptcha|perimeterx/i],
+    ['akamai-block', /errors\.edgesuite\.net|Reference #\d+\.[0-9a-f]+/i]
+];
+// Captcha widgets also appear in comment and newsletter forms, so they only count on near-empty pages
+const CAPTCHA_WIDGETS = [
+    ['recaptcha', /g-recaptcha|recaptcha\/api\.js/i],
+    ['hcaptcha', /h-captcha|hcaptcha\.com/i],
+    ['turnstile', /cf-turnstile|challenges\.cloudflare\.com\/turnstile/i]
+];
+
+const PAYWALL_SCRIPTS = [
+    ['piano', /tinypass\.com|cdn\.piano\.io|experience\.piano\.io|\btp\.push\(/i],
+    ['poool', /poool\.fr|poool-/i],
+    ['zephr', /zephr/i],
+    ['laterpay', /laterpay/i],
+    ['pelcro', /pelcro/i],
+    ['memberful', /memberful/i],
+    ['paywall-markup', /class="[^"]*\bpaywall\b|data-paywall|meteredContent|subscriber-only|premium-content-gate/i]
+];
+
+const PHRASES = {
+    captcha: [
+        'verify you are human', 'verifying you are human', 'are you a robot', "i'm not a robot", 'checking your browser',
+        'checking if the site connection is secure', 'press & hold', 'press and hold', 'unusual traffic', 'complete the security check',
+        'please enable js and disable any ad blocker', 'access to this page has been denied'
+    ],
+    consent: [
+        'before you continue', 'we value your privacy', 'we care about your privacy', 'accept all', 'reject all',
+        'manage preferences', 'manage cookies', 'cookie settings', 'consent to the use', 'your privacy choices',
+        'to continue, accept', 'agree and continue', 'accept cookies', 'use of cookies', 'partners process data'
+    ],
+    paywall: [
+        'subscribe to continue reading', 'to continue reading, subscribe', 'this article is for subscribers',
+        'this content is for subscribers', 'subscribers only', 'already a subscriber', 'subscribe to read',
+        'subscribe to unlock', 'to read the full article', 'start your free trial', 'you have reached your limit',
+        "you've reached your limit", 'free articles remaining', 'create a free account to continue'
+    ],
+    error: [
+        '404', 'page not found', 'not be found', "this page isn't available", 'this page is not available',
+        'something went wrong', 'bad gateway', 'service unavailable', "this site can't be reached", 'internal server error'
+    ]
+};
+
+// A single one of these is enough for consent; the softer phrases also show up in small cookie banners
+const STRONG_CONSENT = ['before you continue', 'to continue, accept', 'agree and continue', 'partners process data'];
+
+class PageClassifier {
+    /**
+     * @param {Object} [options]
+     * @param {number} [options.shortPageLength] - Visible text below this many characters counts as a near-empty page (default 1500)
+     */
+    constructor(options = {}) {
+        this.shortPageLength = options.shortPageLength || 1500;
+    }
+
+    isBlocked(label) {
+        return BLOCKED_LABELS.includes(label);
+    }
+
+    result(label, signals, source) {
+        return { label, blocked: this.isBlocked(label), signals, source };
+    }
+
+    /**
+     * Classify a fetched page from its HTML
+     * @param {string} html - Response body
+     * @param {Object} [context]
+     * @param {number} [context.status] - HTTP status (default 200)
+     * @param {string} [context.finalUrl] - URL after redirects
+     * @returns {Object} { label, blocked, signals, source: 'html' }
+     */
+    classifyHtml(html, context = {}) {
+        const raw = typeof html === 'string' ? html : '';
+        const status = context.status || 200;
+        const $ = cheerio.load(raw);
+        const title = $('title').first().text().toLowerCase();
+        const jsonLd = $('script[type="application/ld+json"]').map((_, element) => $(element).contents().text()).get().join('\n');
+        $('script, style, noscript, template').remove();
+        const text = $('body').text().replace(/\s+/g, ' ').trim();
+        const lowerText = text.toLowerCase();
+        const shortPage = text.length < this.shortPageLength;
+
+        const captcha = CAPTCHA_MARKERS.filter(([, pattern]) => pattern.test(raw)).map(([name]) => name);
+        if (shortPage) {
+            captcha.push(...CAPTCHA_WIDGETS.filter(([, pattern]) => pattern.test(raw)).map(([name]) => name));
+        }
+        if (/just a moment|attention required|are you a robot|access denied|security check/.test(title)) {
+            captcha.push('title');
+        }
+        if (shortPage) {
+            captcha.push(...this.matchPhrases(lowerText, 'captcha'));
+        }
+        if (captcha.length > 0) {
+            return this.result('captcha', captcha, 'html');
+        }
+
+        if (!raw.trim()) {
+            return this.result('error', [`http:${status}`, 'empty-body'], 'html');
+        }
+        if (status >= 400 && status !== 401 && status !== 402) {
+            return this.result('error', [`http:${status}`], 'html');
+        }
+
+        const consent = [];
+        const host = this.hostOf(context.finalUrl);
+        if (host && /^(consent|guce|privacy|cmp)\./.test(host)) {
+            consent.push(`redirect:${host}`);
+        }
+        const consentPhrases = this.matchPhrases(lowerText, 'consent');
+        if ((shortPage && consentPhrases.length > 0) || consentPhrases.some(phrase => STRONG_CONSENT.includes(phrase))) {
+            consent.push(...consentPhrases);
+        }
+        if (consent.length > 0) {
+            return this.result('consent', consent, 'html');
+        }
+
+        const paywall = [];
+        if (status === 401 || status === 402) {
+            paywall.push(`http:${status}`);
+        }
+        if (/"isAccessibleForFree"\s*:\s*"?false"?/i.test(jsonLd)) {
+            paywall.push('json-ld:isAccessibleForFree');
+        }
+        // Vendors and "already a subscriber?" prompts are site-wide (metered sites too), so they need a thin page
+        const soft = [
+            ...this.matchPhrases(lowerText, 'paywall'),
+            ...PAYWALL_SCRIPTS.filter(([, pattern]) => pattern.test(raw)).map(([name]) => `script:${name}`)
+        ];
+        if (paywall.length > 0 || (soft.length > 0 && shortPage)) {
+            return this.result('paywall', [...paywall, ...soft], 'html');
+        }
+
+        if (shortPage && /\b404\b|not found|page unavailable|error/.test(title)) {
+            return this.result('error', ['title'], 'html');
+        }
+
+        return this.result('ok', [], 'html');
+    }
+
+    /**
+     * Classify a screenshot from its OCR text
+     * @param {string} text - Full OCR text
+     * @returns {Object} { label, blocked, signals, source: 'ocr' }
+     */
+    classifyText(text) {
+        const lowerText = String(text || '').toLowerCase().replace(/\s+/g, ' ');
+        const words = lowerText.split(' ').filter(Boolean).length;
+
+        if (words < 5) {
+            return this.result('error', ['blank'], 'ocr');
+        }
+
+        const captcha = this.matchPhrases(lowerText, 'captcha');
+        if (captcha.length > 0) {
+            return this.result('captcha', captcha, 'ocr');
+        }
+
+        const consent = this.matchPhrases(lowerText, 'consent');
+        if (consent.some(phrase => STRONG_CONSENT.includes(phrase)) || (consent.length >= 2 && words < 400)) {
+            return this.result('consent', consent, 'ocr');
+        }
+
+        const paywall = this.matchPhrases(lowerText, 'paywall');
+        if (paywall.length > 0) {
+            return this.result('paywall', paywall, 'ocr');
+        }
+
+        const error = this.matchPhrases(lowerText, 'error');
+        if (error.length > 0 && words < 200) {
+            return this.result('error', error, 'ocr');
+        }
+
+        return this.result('ok', [], 'ocr');
+    }
+
+    matchPhrases(lowerText, category) {
+        return PHRASES[category].filter(phrase => lowerText.includes(phrase));
+    }
+
+    hostOf(url) {
+        try {
+            return new URL(url).hostname.toLowerCase();
+        } catch (error) {
+            return null;
+        }
+    }
+}
+
+module.exports = {
+    PageClassifier,
+    ACCESS_LABELS: LABELS,
+    BLOCKED_LABELS
+};
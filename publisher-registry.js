@@ -0,0 +1,195 @@
+// publisher-registry.js - Publisher metadata (domains, aliases, country, language, paywall, authority) and registrable-domain helpers
+const fs = require('fs-extra');
+const path = require('path');
+const { getDomain } = require('tldts');
+
+const BUNDLED_REGISTRY = path.join(__dirname, 'publishers.json');
+
+/**
+ * Registrable domain (eTLD+1) of a hostname using the Public Suffix List,
+ * e.g. news.bbc.co.uk → bbc.co.uk, edition.cnn.com → cnn.com.
+ * Private suffixes count, so foo.blogspot.com stays its own publisher.
+ * @param {string} hostname
+ * @returns {string} Registrable domain, or the bare hostname for IPs, localhost and unknown suffixes
+ */
+function getRegistrableDomain(hostname) {
+    const host = String(hostname || '').toLowerCase().replace(/\.$/, '').replace(/^www\./, '');
+    return getDomain(host, { allowPrivateDomains: true }) || host;
+}
+
+function normalizeName(value) {
+    return String(value || '').toLowerCase().replace(/\s+/g, ' ').trim();
+}
+
+function escapeRegExp(value) {
+    return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+class PublisherRegistry {
+    /**
+     * @param {Array<Object>} [publishers] - Entries: { domain, name, aliases?, domains?, country?, language?, paywall?, authority? }
+     *   authority is an optional 0..1 weight used by relevance ranking
+     */
+    constructor(publishers = []) {
+        this.publishers = new Map();
+        this.index = null;
+        publishers.forEach(entry => this.add(entry));
+    }
+
+    /**
+     * Build the registry used by the searcher. The bundled publishers.json is always loaded first;
+     * extra files or entries are merged on top and override bundled entries with the same domain.
+     * @param {PublisherRegistry|string|Array<string|Object>|null} value - Registry, JSON file path(s) or entries
+     * @returns {PublisherRegistry}
+     */
+    static from(value) {
+        if (value instanceof PublisherRegistry) return value;
+
+        const registry = new PublisherRegistry().loadFile(BUNDLED_REGISTRY);
+        const extras = value ? (Array.isArray(value) ? value : [value]) : [];
+        extras.forEach(extra => {
+            if (typeof extra === 'string') {
+                registry.loadFile(extra);
+            } else {
+                registry.add(extra);
+            }
+        });
+        return registry;
+    }
+
+    /**
+     * Merge a registry file: { "publishers": [ ... ] } or a bare array of entries
+     * @param {string} filePath
+     * @returns {PublisherRegistry} this, for chaining
+     */
+    loadFile(filePath) {
+        const data = fs.readJsonSync(filePath);
+        const entries = Array.isArray(data) ? data : data.publishers;
+        if (!Array.isArray(entries)) {
+            throw new Error(`Publisher registry ${filePath} must contain a "publishers" array`);
+        }
+        entries.forEach((entry, i) => {
+            try {
+                this.add(entry);
+            } catch (error) {
+                throw new Error(`Publisher registry ${filePath}, entry ${i}: ${error.message}`);
+            }
+        });
+        return this;
+    }
+
+    /**
+     * Add or replace a publisher (keyed by its primary domain)
+     * @param {Object} entry
+     * @returns {Object} Normalized entry
+     */
+    add(entry) {
+        if (!entry || !entry.domain) {
+            throw new Error('Publisher entry needs a domain');
+        }
+        const domain = entry.domain.toLowerCase().replace(/^www\./, '');
+        const authority = entry.authority === undefined || entry.authority === null ? null : Number(entry.authority);
+        if (authority !== null && !(authority >= 0 && authority <= 1)) {
+            throw new Error(`Publisher ${domain}: authority must be a number between 0 and 1`);
+        }
+        const publisher = {
+            domain,
+            name: entry.name || domain,
+            aliases: (entry.aliases || []).map(normalizeName).filter(Boolean),
+            domains: (entry.domains || []).map(value => value.toLowerCase().replace(/^www\./, '')),
+            country: entry.country ? entry.country.toUpperCase() : null,
+            language: entry.language ? entry.language.toLowerCase() : null,
+            paywall: Boolean(entry.paywall),
+            authority
+        };
+        this.publishers.set(domain, publisher);
+        this.index = null;
+        return publisher;
+    }
+
+    get size() {
+        return this.publishers.size;
+    }
+
+    buildIndex() {
+        const hosts = new Map();
+        const aliases = [];
+        for (const publisher of this.publishers.values()) {
+            [publisher.domain, ...publisher.domains].forEach(host => hosts.set(host, publisher));
+            [normalizeName(publisher.name), ...publisher.aliases].forEach(alias => {
+                aliases.push({
+                    alias,
+                    publisher,
+                    pattern: new RegExp(`(^|[^a-z0-9])${escapeRegExp(alias)}($|[^a-z0-9])`)
+                });
+            });
+        }
+        // Longest alias first so "yahoo finance" wins over "yahoo"
+        aliases.sort((a, b) => b.alias.length - a.alias.length);
+        this.index = { hosts, aliases };
+        return this.index;
+    }
+
+    /**
+     * Most specific publisher for a hostname: finance.yahoo.com matches its own entry
+     * before yahoo.com; subdomains of a listed domain resolve to that publisher.
+     * @param {string} hostname
+     * @returns {Object|null}
+     */
+    findByHost(hostname) {
+        const { hosts } = this.index || this.buildIndex();
+        const labels = String(hostname || '').toLowerCase().replace(/\.$/, '').split('.');
+        for (let i = 0; i < labels.length - 1; i++) {
+            const publisher = hosts.get(labels.slice(i).join('.'));
+            if (publisher) return publisher;
+        }
+        return null;
+    }
+
+    /**
+     * Match a feed source name ("Reuters UK", "The Wall Street Journal") against names and aliases
+     * @param {string} sourceName
+     * @returns {Object|null}
+     */
+    findBySource(sourceName) {
+        const name = normalizeName(sourceName);
+        if (!name) return null;
+        const { aliases } = this.index || this.buildIndex();
+
+        const exact = aliases.find(entry => entry.alias === name);
+        if (exact) return exact.publisher;
+
+        const contained = aliases.find(entry => entry.pattern.test(name));
+        return contained ? contained.publisher : null;
+    }
+
+    /**
+     * Find a single-word alias that appears as a whole token in free text, e.g. a URL path
+     * @param {string} text
+     * @returns {Object|null}
+     */
+    findInText(text) {
+        const value = String(text || '').toLowerCase();
+        const { aliases } = this.index || this.buildIndex();
+        const match = aliases.find(entry => !entry.alias.includes(' ') && entry.pattern.test(value));
+        return match ? match.publisher : null;
+    }
+
+    // Publisher fields attached to articles (aliases are registry-internal)
+    describe(publisher) {
+        if (!publisher) return null;
+        const { domain, name, country, language, paywall, authority } = publisher;
+        return { domain, name, country, language, paywall, authority };
+    }
+
+    toJSON() {
+        return {
+            publishers: [...this.publishers.values()].map(publisher => ({ ...publisher }))
+        };
+    }
+}
+
+module.exports = {
+    PublisherRegistry,
+    getRegistrableDomain
+};
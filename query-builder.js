@@ -0,0 +1,346 @@
+// query-builder.js - Structured builder for Google News search operators
+
+const WHEN_PATTERN = /^\d+[hdmy]$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const DOMAIN_PATTERN = /^(?:[a-z0-9](?:[a-z0-9-]*[a-z0-9])?\.)+[a-z]{2,}$/i;
+
+class GoogleNewsQuery {
+    /**
+     * @param {string} [keywords] - Plain keywords to start the query with
+     */
+    constructor(keywords = '') {
+        this.terms = [];
+        this.phrases = [];
+        this.orGroups = [];
+        this.exclusions = [];
+        this.sites = [];
+        this.excludedSites = [];
+        this.titleTerms = [];
+        this.textTerms = [];
+        this.whenValue = null;
+        this.afterDate = null;
+        this.beforeDate = null;
+
+        if (keywords) {
+            this.term(...keywords.trim().split(/\s+/));
+        }
+    }
+
+    /**
+     * Add plain keywords that must appear in the article
+     * @param {...string} words - Single words (use phrase() for multi-word matches)
+     * @returns {GoogleNewsQuery} this
+     */
+    term(...words) {
+        words.forEach(word => this.terms.push(this.validateWord(word, 'term')));
+        return this;
+    }
+
+    /**
+     * Add an exact phrase, emitted as "quoted text"
+     * @param {string} text - Phrase to match verbatim
+     * @returns {GoogleNewsQuery} this
+     */
+    phrase(text) {
+        this.phrases.push(this.validatePhrase(text, 'phrase'));
+        return this;
+    }
+
+    /**
+     * Add a group where any one alternative may match, emitted as (a OR b OR "c d")
+     * @param {...string} alternatives - Words or phrases; multi-word entries are quoted
+     * @returns {GoogleNewsQuery} this
+     */
+    or(...alternatives) {
+        if (alternatives.length < 2) {
+            throw new Error('or() needs at least two alternatives');
+        }
+        this.orGroups.push(alternatives.map(alt => this.formatValue(this.validatePhrase(alt, 'or'))));
+        return this;
+    }
+
+    /**
+     * Exclude articles containing a word or phrase, emitted as -word / -"some phrase"
+     * @param {...string} values - Words or phrases to exclude
+     * @returns {GoogleNewsQuery} this
+     */
+    exclude(...values) {
+        values.forEach(value => this.exclusions.push(this.validatePhrase(value, 'exclude')));
+        return this;
+    }
+
+    /**
+     * Restrict results to one or more publisher domains. Several sites are OR-ed together.
+     * @param {...string} domains - Domains such as reuters.com
+     * @returns {GoogleNewsQuery} this
+     */
+    site(...domains) {
+        domains.forEach(domain => this.sites.push(this.validateDomain(domain)));
+        return this;
+    }
+
+    /**
+     * Drop results from a publisher domain, emitted as -site:domain
+     * @param {...string} domains - Domains to exclude
+     * @returns {GoogleNewsQuery} this
+     */
+    excludeSite(...domains) {
+        domains.forEach(domain => this.excludedSites.push(this.validateDomain(domain)));
+        return this;
+    }
+
+    /**
+     * Require a word or phrase in the headline, emitted as intitle:word
+     * @param {string} text - Word or phrase
+     * @returns {GoogleNewsQuery} this
+     */
+    intitle(text) {
+        this.titleTerms.push(this.validatePhrase(text, 'intitle'));
+        return this;
+    }
+
+    /**
+     * Require all of the given words in the article body, emitted as allintext:a b c
+     * @param {...string} words - Single words
+     * @returns {GoogleNewsQuery} this
+     */
+    allintext(...words) {
+        words.forEach(word => this.textTerms.push(this.validateWord(word, 'allintext')));
+        return this;
+    }
+
+    /**
+     * Limit to a relative window such as 12h, 1d, 7d, 1m or 1y
+     * @param {string} window - Relative time window
+     * @returns {GoogleNewsQuery} this
+     */
+    when(window) {
+        if (typeof window !== 'string' || !WHEN_PATTERN.test(window)) {
+            throw new Error(`Invalid when: value "${window}". Expected a number followed by h, d, m or y (e.g. "7d")`);
+        }
+        this.whenValue = window;
+        return this;
+    }
+
+    /**
+     * Only include articles published after a date
+     * @param {Date|string} date - Date object or YYYY-MM-DD string
+     * @returns {GoogleNewsQuery} this
+     */
+    after(date) {
+        this.afterDate = this.formatDate(date, 'after');
+        return this;
+    }
+
+    /**
+     * Only include articles published before a date
+     * @param {Date|string} date - Date object or YYYY-MM-DD string
+     * @returns {GoogleNewsQuery} this
+     */
+    before(date) {
+        this.beforeDate = this.formatDate(date, 'before');
+        return this;
+    }
+
+    /**
+     * Check the combination of operators
+     * @throws {Error} When the query is empty or contradictory
+     */
+    validate() {
+        const hasContent = this.terms.length || this.phrases.length || this.orGroups.length ||
+            this.titleTerms.length || this.textTerms.length || this.sites.length;
+        if (!hasContent) {
+            throw new Error('Query needs at least one term, phrase, OR group, intitle:, allintext: or site: operator');
+        }
+        if (this.whenValue && (this.afterDate || this.beforeDate)) {
+            throw new Error('when: cannot be combined with after:/before:');
+        }
+        if (this.afterDate && this.beforeDate && this.afterDate >= this.beforeDate) {
+            throw new Error(`after: (${this.afterDate}) must be earlier than before: (${this.beforeDate})`);
+        }
+    }
+
+    /**
+     * Build the raw q= value (unencoded)
+     * @returns {string} Query string in Google News operator syntax
+     */
+    build() {
+        this.validate();
+
+        const parts = [
+            ...this.terms,
+            ...this.phrases.map(phrase => `"${phrase}"`),
+            ...this.orGroups.map(group => `(${group.join(' OR ')})`),
+            ...this.titleTerms.map(text => `intitle:${this.formatValue(text)}`)
+        ];
+
+        if (this.sites.length === 1) {
+            parts.push(`site:${this.sites[0]}`);
+        } else if (this.sites.length > 1) {
+            parts.push(`(${this.sites.map(domain => `site:${domain}`).join(' OR ')})`);
+        }
+
+        parts.push(...this.excludedSites.map(domain => `-site:${domain}`));
+        parts.push(...this.exclusions.map(value => `-${this.formatValue(value)}`));
+
+        if (this.whenValue) parts.push(`when:${this.whenValue}`);
+        if (this.afterDate) parts.push(`after:${this.afterDate}`);
+        if (this.beforeDate) parts.push(`before:${this.beforeDate}`);
+
+        // allintext: applies to every word after it, so it has to come last
+        if (this.textTerms.length > 0) {
+            parts.push(`allintext:${this.textTerms.join(' ')}`);
+        }
+
+        return parts.join(' ');
+    }
+
+    /**
+     * Build the URL-encoded q= value
+     * @returns {string} Encoded query
+     */
+    toEncodedString() {
+        return encodeURIComponent(this.build());
+    }
+
+    toString() {
+        return this.build();
+    }
+
+    /**
+     * Copy the builder, e.g. to derive several date windows from one base query
+     * @returns {GoogleNewsQuery} Independent copy
+     */
+    clone() {
+        const copy = new GoogleNewsQuery();
+        for (const key of Object.keys(this)) {
+            copy[key] = Array.isArray(this[key]) ? this[key].map(v => Array.isArray(v) ? [...v] : v) : this[key];
+        }
+        return copy;
+    }
+
+    /**
+     * Remove operators such as when:7d from a hand-written query string, wherever they sit: standalone,
+     * inside a quoted phrase, in an OR group or glued to a parenthesis. OR keywords and groups left
+     * empty are removed with them.
+     * @param {string} query - Raw q= value
+     * @param {string[]} operators - Operator names without the colon, e.g. ['when', 'after', 'before']
+     * @returns {string} Query without those operators
+     */
+    static stripOperators(query, operators) {
+        const names = operators.map(name => name.toLowerCase());
+        const isOperator = word => names.includes(word.split(':')[0].toLowerCase()) && word.includes(':');
+
+        // Tokens: parentheses, quoted phrases and bare words
+        const tokens = [];
+        let i = 0;
+        while (i < query.length) {
+            const char = query[i];
+            if (/\s/.test(char)) {
+                i++;
+            } else if (char === '(' || char === ')') {
+                tokens.push(char);
+                i++;
+            } else if (char === '"') {
+                const end = query.indexOf('"', i + 1);
+                const stop = end === -1 ? query.length : end;
+                const words = query.slice(i + 1, stop).split(/\s+/).filter(word => word && !isOperator(word));
+                if (words.length > 0) tokens.push(`"${words.join(' ')}"`);
+                i = stop + 1;
+            } else {
+                let end = i;
+                while (end < query.length && !/[\s()"]/.test(query[end])) end++;
+                const word = query.slice(i, end);
+                if (!isOperator(word)) tokens.push(word);
+                i = end;
+            }
+        }
+
+        // Drop ORs without an operand on both sides, then groups left empty, until nothing changes
+        let changed = true;
+        while (changed) {
+            changed = false;
+            for (let j = 0; j < tokens.length; j++) {
+                const prev = tokens[j - 1];
+                const next = tokens[j + 1];
+                const danglingOr = tokens[j] === 'OR' && (prev === undefined || prev === '(' || prev === 'OR' || next === undefined || next === ')' || next === 'OR');
+                const emptyGroup = tokens[j] === '(' && next === ')';
+                if (danglingOr || emptyGroup) {
+                    tokens.splice(j, emptyGroup ? 2 : 1);
+                    changed = true;
+                    break;
+                }
+            }
+        }
+
+        return tokens.join(' ').replace(/\( /g, '(').replace(/ \)/g, ')');
+    }
+
+    validateWord(word, operator) {
+        if (typeof word !== 'string' || !word.trim()) {
+            throw new Error(`${operator}: expects a non-empty string`);
+        }
+        const value = word.trim();
+        if (/\s/.test(value)) {
+            throw new Error(`${operator}: "${value}" contains spaces; use phrase() for multi-word matches`);
+        }
+        this.rejectRawOperators(value, operator);
+        return value;
+    }
+
+    validatePhrase(text, operator) {
+        if (typeof text !== 'string' || !text.trim()) {
+            throw new Error(`${operator}: expects a non-empty string`);
+        }
+        const value = text.trim().replace(/\s+/g, ' ');
+        if (value.includes('"')) {
+            throw new Error(`${operator}: "${value}" must not contain double quotes`);
+        }
+        this.rejectRawOperators(value, operator);
+        return value;
+    }
+
+    // Hand-written operators inside values are the typos this builder exists to catch
+    rejectRawOperators(value, operator) {
+        if (/^-/.test(value)) {
+            throw new Error(`${operator}: "${value}" starts with "-"; use exclude() instead`);
+        }
+        const inline = value.match(/(?:^|\s)(site|intitle|allintitle|allintext|inurl|when|after|before|source):/i);
+        if (inline) {
+            throw new Error(`${operator}: "${value}" contains the raw "${inline[1]}:" operator; use the matching builder method`);
+        }
+        if (/^(OR|AND)$/.test(value)) {
+            throw new Error(`${operator}: "${value}" is a reserved keyword; use or() for alternatives`);
+        }
+    }
+
+    validateDomain(domain) {
+        if (typeof domain !== 'string') {
+            throw new Error('site: expects a domain string');
+        }
+        const value = domain.trim().toLowerCase().replace(/^https?:\/\//, '').replace(/\/.*$/, '');
+        if (!DOMAIN_PATTERN.test(value)) {
+            throw new Error(`site: "${domain}" is not a valid domain`);
+        }
+        return value;
+    }
+
+    formatDate(date, operator) {
+        if (date instanceof Date) {
+            if (isNaN(date.getTime())) {
+                throw new Error(`${operator}: received an invalid Date`);
+            }
+            return date.toISOString().substring(0, 10);
+        }
+        if (typeof date === 'string' && DATE_PATTERN.test(date) && !isNaN(new Date(`${date}T00:00:00Z`).getTime())) {
+            return date;
+        }
+        throw new Error(`${operator}: "${date}" is not a Date or YYYY-MM-DD string`);
+    }
+
+    formatValue(value) {
+        return /\s/.test(value) ? `"${value}"` : value;
+    }
+}
+
+module.exports = GoogleNewsQuery;
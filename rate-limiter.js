@@ -0,0 +1,190 @@
+// rate-limiter.js - Request pacing, backoff and circuit breaking for calls to Google and screenshot providers
+
+/**
+ * Token bucket whose refill rate adapts to the server: throttling responses halve the rate,
+ * successful requests slowly raise it back towards the configured maximum.
+ */
+class TokenBucketLimiter {
+    /**
+     * @param {Object} [options]
+     * @param {number} [options.requestsPerSecond] - Starting and maximum refill rate (default 4)
+     * @param {number} [options.minRequestsPerSecond] - Floor for the adaptive rate (default 0.25)
+     * @param {number} [options.burst] - Bucket capacity (default 4)
+     */
+    constructor(options = {}) {
+        this.maxRate = options.requestsPerSecond || 4;
+        this.minRate = options.minRequestsPerSecond || 0.25;
+        this.rate = this.maxRate;
+        this.capacity = options.burst || 4;
+        this.tokens = this.capacity;
+        this.lastRefill = Date.now();
+        this.queue = Promise.resolve();
+        this.throttledResponses = 0;
+    }
+
+    refill() {
+        const now = Date.now();
+        this.tokens = Math.min(this.capacity, this.tokens + ((now - this.lastRefill) / 1000) * this.rate);
+        this.lastRefill = now;
+    }
+
+    /**
+     * Wait for a token. Callers are served in FIFO order.
+     * @returns {Promise<void>}
+     */
+    acquire() {
+        const turn = this.queue.then(async () => {
+            this.refill();
+            if (this.tokens < 1) {
+                await new Promise(resolve => setTimeout(resolve, ((1 - this.tokens) / this.rate) * 1000));
+                this.refill();
+            }
+            this.tokens -= 1;
+        });
+        this.queue = turn.catch(() => {});
+        return turn;
+    }
+
+    // Multiplicative decrease after a 429 or consent page
+    penalize() {
+        this.throttledResponses++;
+        this.rate = Math.max(this.minRate, this.rate / 2);
+        this.tokens = Math.min(this.tokens, 0);
+    }
+
+    // Additive increase after a successful request
+    reward() {
+        this.rate = Math.min(this.maxRate, this.rate + this.maxRate * 0.1);
+    }
+
+    getState() {
+        return {
+            requestsPerSecond: Number(this.rate.toFixed(2)),
+            maxRequestsPerSecond: this.maxRate,
+            throttledResponses: this.throttledResponses
+        };
+    }
+}
+
+/**
+ * Classic closed → open → half-open breaker. After failureThreshold consecutive failures it
+ * opens for cooldown ms and rejects calls immediately; the first call after the cooldown is let
+ * through as a probe and decides whether the breaker closes again.
+ */
+class CircuitBreaker {
+    /**
+     * @param {Object} [options]
+     * @param {number} [options.failureThreshold] - Consecutive failures before opening (default 5)
+     * @param {number} [options.cooldown] - Time in ms to stay open (default 60000)
+     */
+    constructor(options = {}) {
+        this.failureThreshold = options.failureThreshold || 5;
+        this.cooldown = options.cooldown || 60000;
+        this.state = 'closed';
+        this.consecutiveFailures = 0;
+        this.openedAt = null;
+        this.trips = 0;
+        this.probeInFlight = false;
+    }
+
+    /**
+     * @returns {boolean} true when the caller is the half-open probe; it must then end with
+     *   recordSuccess(), recordFailure() or release()
+     * @throws {Error} With code CIRCUIT_OPEN while the breaker is open
+     */
+    beforeRequest() {
+        if (this.state === 'open') {
+            if (Date.now() - this.openedAt < this.cooldown) {
+                throw this.openError();
+            }
+            this.state = 'half-open';
+        }
+        if (this.state === 'half-open') {
+            if (this.probeInFlight) {
+                throw this.openError();
+            }
+            this.probeInFlight = true;
+            return true;
+        }
+        return false;
+    }
+
+    // The probe ended without saying anything about the server (e.g. a 404): let the next request probe
+    release() {
+        this.probeInFlight = false;
+    }
+
+    recordSuccess() {
+        this.consecutiveFailures = 0;
+        this.probeInFlight = false;
+        if (this.state !== 'closed') {
+            console.log('🟢 Decoder circuit breaker closed');
+        }
+        this.state = 'closed';
+        this.openedAt = null;
+    }
+
+    recordFailure() {
+        this.consecutiveFailures++;
+        this.probeInFlight = false;
+        if (this.state === 'half-open' || this.consecutiveFailures >= this.failureThreshold) {
+            if (this.state !== 'open') {
+                this.trips++;
+                console.log(`🔴 Decoder circuit breaker opened after ${this.consecutiveFailures} failures; pausing for ${Math.round(this.cooldown / 1000)}s`);
+            }
+            this.state = 'open';
+            this.openedAt = Date.now();
+        }
+    }
+
+    openError() {
+        const error = new Error(`Circuit breaker open; decoding paused until ${new Date(this.openedAt + this.cooldown).toISOString()}`);
+        error.code = 'CIRCUIT_OPEN';
+        return error;
+    }
+
+    getState() {
+        return {
+            state: this.state,
+            consecutiveFailures: this.consecutiveFailures,
+            trips: this.trips,
+            openedAt: this.openedAt,
+            reopensAt: this.state === 'open' ? this.openedAt + this.cooldown : null
+        };
+    }
+}
+
+/**
+ * Parse a Retry-After header (delta-seconds or HTTP date) into milliseconds
+ * @param {string|number} value - Header value
+ * @returns {number|null} Delay in ms, or null when missing/unparseable
+ */
+function parseRetryAfter(value) {
+    if (value === undefined || value === null || value === '') return null;
+    const seconds = Number(value);
+    if (!isNaN(seconds)) {
+        return Math.max(0, seconds * 1000);
+    }
+    const date = Date.parse(value);
+    return isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * Exponential backoff with equal jitter: half the ceiling is always waited, the other half is random,
+ * so a throttled caller never retries immediately
+ * @param {number} attempt - Zero-based retry attempt
+ * @param {number} baseDelay - Delay for the first retry in ms
+ * @param {number} maxDelay - Upper bound in ms
+ * @returns {number} Delay in ms
+ */
+function backoffDelay(attempt, baseDelay, maxDelay) {
+    const ceiling = Math.min(maxDelay, baseDelay * Math.pow(2, attempt));
+    return Math.round(ceiling / 2 + Math.random() * (ceiling / 2));
+}
+
+module.exports = {
+    TokenBucketLimiter,
+    CircuitBreaker,
+    parseRetryAfter,
+    backoffDelay
+};
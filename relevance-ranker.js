@@ -0,0 +1,123 @@
+// relevance-ranker.js - Score articles against a query: BM25 over title/description/content, recency and source authority
+
+const SORT_ORDERS = ['rss', 'relevance', 'date'];
+
+const STOPWORDS = new Set([
+    'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'for', 'from', 'in', 'is', 'it', 'of', 'on', 'or',
+    'the', 'to', 'was', 'with'
+]);
+
+class RelevanceRanker {
+    /**
+     * @param {Object} [options]
+     * @param {number} [options.k1] - BM25 term saturation (default 1.2)
+     * @param {number} [options.b] - BM25 length normalization (default 0.75)
+     * @param {Object} [options.fieldWeights] - Term frequency multipliers per field (default { title: 3, description: 1, content: 1 })
+     * @param {number} [options.halfLife] - Recency half-life in hours (default 48)
+     * @param {Object} [options.weights] - Mix of the normalized components (default { relevance: 1, recency: 0.3, authority: 0.1 })
+     * @param {Function} [options.authority] - (article) => 0..1 source authority (default 0)
+     */
+    constructor(options = {}) {
+        this.k1 = options.k1 !== undefined ? options.k1 : 1.2;
+        this.b = options.b !== undefined ? options.b : 0.75;
+        this.fieldWeights = { title: 3, description: 1, content: 1, ...options.fieldWeights };
+        this.halfLife = options.halfLife || 48;
+        this.weights = { relevance: 1, recency: 0.3, authority: 0.1, ...options.weights };
+        this.authority = options.authority || (() => 0);
+    }
+
+    tokenize(text) {
+        return (String(text || '').toLowerCase().match(/[\p{L}\p{N}]+/gu) || []).filter(token => !STOPWORDS.has(token));
+    }
+
+    /**
+     * Query terms from a Google News query string: excluded terms, OR and operators such as
+     * site:/when:/after:/before: are dropped; intitle:/allintext: values are kept.
+     * @param {string} query
+     * @returns {string[]} Unique terms
+     */
+    queryTerms(query) {
+        const cleaned = String(query || '')
+            .replace(/(^|\s)-("[^"]*"|\S+)/g, ' ')
+            .replace(/\b(site|when|after|before|source|inurl|location):\S+/gi, ' ')
+            .replace(/\b(intitle|allintitle|intext|allintext):/gi, ' ')
+            .replace(/\bOR\b/g, ' ');
+        return [...new Set(this.tokenize(cleaned))];
+    }
+
+    fieldText(article, field) {
+        if (field === 'content') return article.content ? article.content.text : '';
+        return article[field] || '';
+    }
+
+    /**
+     * Score every article. Articles are not reordered.
+     * @param {Array<Object>} articles
+     * @param {string} query - Search query (empty for topic/geo feeds: only recency and authority count)
+     * @param {Object} [context]
+     * @param {number} [context.now] - Reference time for recency (default Date.now())
+     * @returns {Array<Object>} Per article: { bm25, relevance, recency, authority, total }
+     */
+    score(articles, query, context = {}) {
+        const now = context.now || Date.now();
+        const terms = this.queryTerms(query);
+        const fields = Object.keys(this.fieldWeights);
+
+        const documents = articles.map(article => {
+            const document = {};
+            fields.forEach(field => {
+                const tokens = this.tokenize(this.fieldText(article, field));
+                const counts = new Map();
+                tokens.forEach(token => counts.set(token, (counts.get(token) || 0) + 1));
+                document[field] = { counts, length: tokens.length };
+            });
+            return document;
+        });
+
+        const averageLength = {};
+        fields.forEach(field => {
+            const total = documents.reduce((sum, document) => sum + document[field].length, 0);
+            averageLength[field] = total / Math.max(documents.length, 1) || 1;
+        });
+
+        const idf = new Map(terms.map(term => {
+            const df = documents.filter(document => fields.some(field => document[field].counts.has(term))).length;
+            return [term, Math.log(1 + (documents.length - df + 0.5) / (df + 0.5))];
+        }));
+
+        // BM25F: length-normalized, weighted term frequency summed over fields, then saturated once
+        const bm25 = documents.map(document => terms.reduce((sum, term) => {
+            const tf = fields.reduce((fieldSum, field) => {
+                const count = document[field].counts.get(term) || 0;
+                if (count === 0) return fieldSum;
+                const norm = 1 - this.b + this.b * (document[field].length / averageLength[field]);
+                return fieldSum + this.fieldWeights[field] * count / norm;
+            }, 0);
+            if (tf === 0) return sum;
+            return sum + idf.get(term) * (tf * (this.k1 + 1)) / (tf + this.k1);
+        }, 0));
+
+        const maxBm25 = Math.max(0, ...bm25);
+        return articles.map((article, index) => {
+            const published = new Date(article.pubDate).getTime();
+            const ageHours = isNaN(published) ? Infinity : Math.max(0, (now - published) / 3600000);
+            const recency = Number.isFinite(ageHours) ? Math.pow(0.5, ageHours / this.halfLife) : 0;
+            const relevance = maxBm25 > 0 ? bm25[index] / maxBm25 : 0;
+            const authority = Math.min(1, Math.max(0, Number(this.authority(article)) || 0));
+            const total = this.weights.relevance * relevance + this.weights.recency * recency + this.weights.authority * authority;
+
+            return {
+                bm25: Number(bm25[index].toFixed(4)),
+                relevance: Number(relevance.toFixed(4)),
+                recency: Number(recency.toFixed(4)),
+                authority: Number(authority.toFixed(4)),
+                total: Number(total.toFixed(4))
+            };
+        });
+    }
+}
+
+module.exports = {
+    RelevanceRanker,
+    SORT_ORDERS
+};
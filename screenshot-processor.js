@@ -0,0 +1,136 @@
+// screenshot-processor.js - sharp post-processing: above-the-fold crop, thumbnails, WebP/AVIF variants and page tiles
+const fs = require('fs-extra');
+const path = require('path');
+const sharp = require('sharp');
+
+// Largest dimension each encoder accepts; taller pages are scaled down for that variant
+const MAX_DIMENSION = {
+    webp: 16383,
+    avif: 16384
+};
+
+const DEFAULTS = {
+    fold: true,
+    thumbnails: [{ width: 320, height: 180 }, { width: 640, height: 360 }],
+    formats: ['webp', 'avif'],
+    tiles: true,
+    tileHeight: null,
+    foldHeight: null,
+    tileOverlap: 120,
+    quality: 80
+};
+
+class ScreenshotProcessor {
+    /**
+     * @param {Object} options
+     * @param {string} options.outputDir - Where derivatives are stored (screenshots/processed)
+     * @param {string} options.tempDir - Files are written here first and moved into outputDir when complete
+     */
+    constructor(options) {
+        this.outputDir = options.outputDir;
+        this.tempDir = options.tempDir;
+    }
+
+    /**
+     * Build the derivatives of one capture
+     * @param {string} filePath - Original screenshot
+     * @param {Object|boolean} [settings] - true for defaults, or any of:
+     * @param {boolean} [settings.fold] - Above-the-fold crop (default true)
+     * @param {number} [settings.foldHeight] - Default the capture's viewport height
+     * @param {Array<Object>} [settings.thumbnails] - [{ width, height }] cover-cropped from the top of the page
+     * @param {string[]} [settings.formats] - Full-page variants: webp, avif
+     * @param {boolean} [settings.tiles] - Split pages taller than 1.5 tiles into overlapping segments
+     * @param {number} [settings.tileHeight] - Default the fold height
+     * @param {number} [settings.tileOverlap] - Pixels shared by consecutive tiles (default 120)
+     * @param {number} [settings.quality] - Encoder quality (default 80)
+     * @param {number} [viewportHeight] - Viewport of the capture, used as the fold height (default 1080)
+     * @returns {Promise<Array<Object>>} [{ type, fileName, filePath, format, width, height, bytes, ... }]
+     */
+    async process(filePath, settings = true, viewportHeight = 1080) {
+        const config = { ...DEFAULTS, ...(typeof settings === 'object' ? settings : {}) };
+        const unsupported = (config.formats || []).find(format => !MAX_DIMENSION[format]);
+        if (unsupported) {
+            throw new Error(`Unsupported screenshot format "${unsupported}". Use webp or avif`);
+        }
+        const { width, height } = await sharp(filePath).metadata();
+        const base = path.basename(filePath, path.extname(filePath));
+        const foldHeight = Math.min(height, config.foldHeight || viewportHeight);
+        const derivatives = [];
+
+        await fs.ensureDir(this.outputDir);
+        await fs.ensureDir(this.tempDir);
+
+        if (config.fold) {
+            derivatives.push(await this.write(
+                sharp(filePath).extract({ left: 0, top: 0, width, height: foldHeight }).jpeg({ quality: config.quality, mozjpeg: true }),
+                `${base}_fold.jpeg`, { type: 'fold' }
+            ));
+        }
+
+        for (const size of config.thumbnails || []) {
+            derivatives.push(await this.write(
+                sharp(filePath)
+                    .extract({ left: 0, top: 0, width, height: foldHeight })
+                    .resize(size.width, size.height, { fit: 'cover', position: 'top' })
+                    .jpeg({ quality: config.quality, mozjpeg: true }),
+                `${base}_thumb_${size.width}x${size.height}.jpeg`, { type: 'thumbnail' }
+            ));
+        }
+
+        for (const format of config.formats || []) {
+            let image = sharp(filePath);
+            const limit = MAX_DIMENSION[format];
+            if (width > limit || height > limit) {
+                image = image.resize(limit, limit, { fit: 'inside' });
+            }
+            // AVIF encoding is slow on full pages; low effort keeps it practical. AVIF looks as good at a lower
+            // quality, but sharp rejects values below 1
+            image = format === 'webp' ? image.webp({ quality: config.quality }) : image.avif({ quality: Math.max(1, config.quality - 25), effort: 2 });
+            derivatives.push(await this.write(image, `${base}.${format}`, { type: format }));
+        }
+
+        const tileHeight = Math.min(height, config.tileHeight || foldHeight);
+        if (config.tiles && height > tileHeight * 1.5) {
+            const tops = this.tileOffsets(height, tileHeight, Math.min(config.tileOverlap, tileHeight - 1));
+            for (let i = 0; i < tops.length; i++) {
+                derivatives.push(await this.write(
+                    sharp(filePath).extract({ left: 0, top: tops[i], width, height: tileHeight }).jpeg({ quality: config.quality, mozjpeg: true }),
+                    `${base}_tile_${String(i + 1).padStart(2, '0')}.jpeg`, { type: 'tile', index: i, top: tops[i] }
+                ));
+            }
+        }
+
+        return derivatives;
+    }
+
+    // Evenly stepped tile tops; the last tile is aligned with the bottom of the page
+    tileOffsets(height, tileHeight, overlap) {
+        const step = tileHeight - overlap;
+        const tops = [];
+        for (let top = 0; top + tileHeight < height; top += step) {
+            tops.push(top);
+        }
+        tops.push(height - tileHeight);
+        return tops;
+    }
+
+    async write(image, fileName, details) {
+        const tempPath = path.join(this.tempDir, fileName);
+        const filePath = path.join(this.outputDir, fileName);
+        const info = await image.toFile(tempPath);
+        await fs.move(tempPath, filePath, { overwrite: true });
+
+        return {
+            ...details,
+            fileName,
+            filePath,
+            // sharp reports AVIF output as its container, heif
+            format: info.format === 'heif' ? 'avif' : info.format,
+            width: info.width,
+            height: info.height,
+            bytes: info.size
+        };
+    }
+}
+
+module.exports = ScreenshotProcessor;
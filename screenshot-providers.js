@@ -0,0 +1,406 @@
+// screenshot-providers.js - Screenshot backends: ScreenshotAPI.net, local headless Chromium (pageres) and a file-based mock
+const fs = require('fs-extra');
+const path = require('path');
+const crypto = require('crypto');
+const zlib = require('zlib');
+const axios = require('axios');
+
+const PROVIDERS = ['screenshotapi', 'local', 'mock'];
+
+/**
+ * Provider interface. capture() either resolves with the image or throws; retries, file naming and
+ * storage stay in ScreenshotService. rateLimit is what the backend tolerates:
+ * { requestsPerSecond, burst, concurrency }, or null for no limit.
+ */
+class ScreenshotProvider {
+    constructor(name, label, rateLimit = null) {
+        this.name = name;
+        this.label = label;
+        this.rateLimit = rateLimit;
+    }
+
+    /**
+     * @param {string} url - Page to capture
+     * @param {Object} options - ScreenshotService options (format, viewport_width, viewport_height,
+     *   device_scale_factor, delay and timeout in seconds, full_page, blockAds, blockCookieBanners, blockPopups)
+     *   plus the cleanup to apply: css and script (generated cleaning code, profile and user snippets),
+     *   hideSelectors, clickSelectors and scrollToLoad; signal is an AbortSignal for cancelled work
+     * @returns {Promise<Object>} { buffer, format: 'jpeg'|'png', metadata: { finalUrl, width, height, ... } }
+     */
+    async capture(url, options) {
+        throw new Error(`${this.label} does not implement capture()`);
+    }
+
+    async testConnection() {
+        return true;
+    }
+}
+
+class ScreenshotApiProvider extends ScreenshotProvider {
+    /**
+     * @param {Object} [config]
+     * @param {string} [config.apiKey] - Defaults to API_KEY_SCREENSHOTAPI
+     * @param {string} [config.baseUrl]
+     * @param {Object} [config.rateLimit] - Default { requestsPerSecond: 2, burst: 2, concurrency: 4 }
+     */
+    constructor(config = {}) {
+        super('screenshotapi', 'ScreenshotAPI', config.rateLimit || { requestsPerSecond: 2, burst: 2, concurrency: 4 });
+        this.apiKey = config.apiKey || process.env.API_KEY_SCREENSHOTAPI;
+        this.baseUrl = config.baseUrl || 'https://shot.screenshotapi.net/v3/screenshot';
+
+        console.log('📸 ScreenshotAPI.net initialized');
+        console.log(`   API Key: ${this.apiKey ? 'Set' : 'Missing'}`);
+    }
+
+    async capture(url, options) {
+        // Build ScreenshotAPI request parameters
+        const params = new URLSearchParams({
+            token: this.apiKey,
+            url: url,
+            output: 'file',
+            file_type: options.format,
+            viewport_width: options.viewport_width,
+            viewport_height: options.viewport_height,
+            full_page: options.full_page,
+            delay: options.delay * 1000, // Convert to milliseconds
+            timeout: options.timeout * 1000, // Convert to milliseconds
+            device_scale_factor: options.device_scale_factor
+        });
+
+        // Add blocking options if enabled
+        if (options.blockAds) {
+            params.append('block_ads', 'true');
+        }
+        if (options.blockCookieBanners) {
+            params.append('block_cookie_banners', 'true');
+        }
+        if (options.blockPopups) {
+            params.append('block_popups', 'true');
+        }
+
+        // Cleanup code travels in the query string, so drop the indentation
+        if (options.css) {
+            params.append('css', compact(options.css));
+        }
+        if (options.script) {
+            params.append('js', compact(options.script));
+        }
+
+        const screenshotUrl = `${this.baseUrl}?${params.toString()}`;
+        console.log(`📸 Using ScreenshotAPI: ${screenshotUrl.substring(0, 100)}...`);
+
+        // The API answers with JSON pointing at the rendered image
+        const response = await axios.get(screenshotUrl, {
+            timeout: (options.timeout + 10) * 1000, // Add buffer to timeout
+            signal: options.signal
+        });
+        const screenshotData = response.data;
+        if (!screenshotData || !screenshotData.screenshot) {
+            throw new Error('Invalid API response: missing screenshot URL');
+        }
+
+        console.log(`🔗 Screenshot URL: ${screenshotData.screenshot}`);
+
+        const imageResponse = await axios.get(screenshotData.screenshot, {
+            responseType: 'arraybuffer',
+            timeout: 30000, // 30 second timeout for image download
+            signal: options.signal
+        });
+
+        return {
+            buffer: Buffer.from(imageResponse.data),
+            format: options.format,
+            metadata: {
+                finalUrl: screenshotData.url || url,
+                width: options.viewport_width,
+                height: options.viewport_height,
+                remoteUrl: screenshotData.screenshot
+            }
+        };
+    }
+
+    async testConnection() {
+        try {
+            const params = new URLSearchParams({
+                token: this.apiKey,
+                url: 'https://example.com',
+                output: 'file',
+                file_type: 'png',
+                viewport_width: 800,
+                viewport_height: 600
+            });
+
+            const testUrl = `${this.baseUrl}?${params.toString()}`;
+            console.log('🧪 Testing ScreenshotAPI connection...');
+
+            const response = await axios.get(testUrl, {
+                timeout: 10000
+            });
+
+            if (response.status === 200 && response.data && response.data.screenshot) {
+                console.log('✅ ScreenshotAPI connection successful');
+                console.log(`📸 Test screenshot URL: ${response.data.screenshot}`);
+                return true;
+            } else {
+                console.log('❌ ScreenshotAPI test failed with status:', response.status);
+                return false;
+            }
+        } catch (error) {
+            console.log('❌ ScreenshotAPI connection failed:', error.message);
+            return false;
+        }
+    }
+}
+
+// Headless Chromium through pageres (ESM, so it is imported on first use). No API credits needed.
+class LocalBrowserProvider extends ScreenshotProvider {
+    /**
+     * @param {Object} [config]
+     * @param {Object} [config.launchOptions] - Puppeteer launch options, e.g. { args: ['--no-sandbox'] } when running as root
+     * @param {string} [config.userAgent]
+     * @param {Object} [config.rateLimit] - Default { concurrency: 2 }: every capture runs its own browser
+     */
+    constructor(config = {}) {
+        super('local', 'Local Chromium', config.rateLimit || { concurrency: 2 });
+        this.launchOptions = config.launchOptions || {};
+        this.userAgent = config.userAgent;
+        this.Pageres = null;
+    }
+
+    async loadPageres() {
+        if (!this.Pageres) {
+            this.Pageres = (await import('pageres')).default;
+        }
+        return this.Pageres;
+    }
+
+    // pageres cannot be interrupted, so a cancelled capture only stops before the browser starts
+    async capture(url, options) {
+        const Pageres = await this.loadPageres();
+        throwIfAborted(options.signal);
+        const format = options.format === 'png' ? 'png' : 'jpg';
+        let finalUrl = url;
+        let html = null;
+
+        const [screenshot] = await new Pageres({
+            delay: options.delay,
+            timeout: options.timeout,
+            crop: !options.full_page,
+            scale: options.device_scale_factor,
+            format,
+            css: options.css || undefined,
+            script: options.script || undefined,
+            userAgent: this.userAgent,
+            launchOptions: this.launchOptions,
+            beforeScreenshot: async page => {
+                finalUrl = page.url();
+                // The rendered DOM lets callers classify the capture without OCR
+                html = await page.content().catch(() => null);
+            }
+        })
+            .source(url, [`${options.viewport_width}x${options.viewport_height}`])
+            .run();
+
+        if (!screenshot || screenshot.length === 0) {
+            throw new Error('Local browser returned an empty screenshot');
+        }
+
+        return {
+            buffer: Buffer.from(screenshot),
+            format: format === 'jpg' ? 'jpeg' : 'png',
+            metadata: {
+                finalUrl,
+                width: options.viewport_width,
+                height: options.viewport_height,
+                html
+            }
+        };
+    }
+
+    async testConnection() {
+        try {
+            console.log('🧪 Testing local headless browser...');
+            await this.capture('data:text/html,<h1>ok</h1>', { format: 'png', viewport_width: 320, viewport_height: 240, delay: 0, timeout: 30, full_page: false });
+            console.log('✅ Local browser capture successful');
+            return true;
+        } catch (error) {
+            console.log('❌ Local browser capture failed:', error.message);
+            return false;
+        }
+    }
+}
+
+// Deterministic captures for tests: fixture files picked by URL, or a generated striped PNG
+// whose pattern is derived from the URL hash. No network, no browser.
+class MockScreenshotProvider extends ScreenshotProvider {
+    /**
+     * @param {Object} [config]
+     * @param {Object} [config.fixtures] - { url: imagePath } exact matches
+     * @param {string} [config.fixturesDir] - Directory of .png/.jpg/.jpeg files; a URL always maps to the same file
+     * @param {Object} [config.pages] - { url: html } page source reported as metadata.html, like a real browser
+     * @param {Array<string|RegExp>} [config.failUrls] - URLs matching any entry make capture() throw
+     * @param {number} [config.latency] - Simulated capture time in ms (default 0); cancellable through options.signal
+     * @param {Object} [config.rateLimit]
+     */
+    constructor(config = {}) {
+        super('mock', 'Mock', config.rateLimit || null);
+        this.fixtures = config.fixtures || {};
+        this.fixturesDir = config.fixturesDir || null;
+        this.pages = config.pages || {};
+        this.failUrls = config.failUrls || [];
+        this.latency = config.latency || 0;
+        this.captures = [];
+    }
+
+    async capture(url, options) {
+        this.captures.push({ url, options });
+        await this.wait(options.signal);
+
+        if (this.failUrls.some(pattern => (pattern instanceof RegExp ? pattern.test(url) : url.includes(pattern)))) {
+            throw new Error(`Mock capture failure for ${url}`);
+        }
+
+        const hash = crypto.createHash('md5').update(url).digest();
+        const fixture = this.fixtures[url] || await this.pickFixture(hash);
+        if (fixture) {
+            const extension = path.extname(fixture).toLowerCase();
+            return {
+                buffer: await fs.readFile(fixture),
+                format: extension === '.png' ? 'png' : 'jpeg',
+                metadata: { finalUrl: url, fixture, html: this.pages[url], injected: this.injected(options) }
+            };
+        }
+
+        const width = Math.min(options.viewport_width || 800, 1920);
+        const height = Math.min(options.viewport_height || 600, 1080);
+        return {
+            buffer: encodeStripedPng(width, height, hash),
+            format: 'png',
+            metadata: { finalUrl: url, width, height, fixture: null, html: this.pages[url], injected: this.injected(options) }
+        };
+    }
+
+    wait(signal) {
+        throwIfAborted(signal);
+        if (!this.latency) return Promise.resolve();
+        return new Promise((resolve, reject) => {
+            const onAbort = () => {
+                clearTimeout(timer);
+                reject(new Error('Capture cancelled'));
+            };
+            const timer = setTimeout(() => {
+                if (signal) signal.removeEventListener('abort', onAbort);
+                resolve();
+            }, this.latency);
+            if (signal) signal.addEventListener('abort', onAbort, { once: true });
+        });
+    }
+
+    // What a real backend would have applied, for assertions in tests
+    injected(options) {
+        return {
+            css: Boolean(options.css),
+            script: Boolean(options.script),
+            clickSelectors: options.clickSelectors || [],
+            scrollToLoad: Boolean(options.scrollToLoad)
+        };
+    }
+
+    async pickFixture(hash) {
+        if (!this.fixturesDir || !await fs.pathExists(this.fixturesDir)) return null;
+        const files = (await fs.readdir(this.fixturesDir)).filter(file => /\.(png|jpe?g)$/i.test(file)).sort();
+        if (files.length === 0) return null;
+        return path.join(this.fixturesDir, files[hash.readUInt32BE(0) % files.length]);
+    }
+}
+
+function throwIfAborted(signal) {
+    if (signal && signal.aborted) {
+        throw new Error('Capture cancelled');
+    }
+}
+
+function compact(code) {
+    return code.replace(/^\s+/gm, '').trim();
+}
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    }
+    return c >>> 0;
+});
+
+function crc32(buffer) {
+    let crc = 0xffffffff;
+    for (const byte of buffer) {
+        crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xffffffff) >>> 0;
+}
+
+function pngChunk(type, data) {
+    const length = Buffer.alloc(4);
+    length.writeUInt32BE(data.length);
+    const body = Buffer.concat([Buffer.from(type, 'ascii'), data]);
+    const crc = Buffer.alloc(4);
+    crc.writeUInt32BE(crc32(body));
+    return Buffer.concat([length, body, crc]);
+}
+
+// RGB PNG with 16 horizontal bands; band colours come from the hash bytes
+function encodeStripedPng(width, height, hash) {
+    const header = Buffer.alloc(13);
+    header.writeUInt32BE(width, 0);
+    header.writeUInt32BE(height, 4);
+    header[8] = 8; // bit depth
+    header[9] = 2; // truecolour
+    const bandHeight = Math.max(1, Math.ceil(height / 16));
+    const raw = Buffer.alloc((width * 3 + 1) * height);
+    for (let y = 0; y < height; y++) {
+        const band = Math.floor(y / bandHeight) % 16;
+        const offset = y * (width * 3 + 1);
+        const color = [hash[band], hash[(band + 5) % 16], hash[(band + 11) % 16]];
+        for (let x = 0; x < width; x++) {
+            raw[offset + 1 + x * 3] = color[0];
+            raw[offset + 2 + x * 3] = color[1];
+            raw[offset + 3 + x * 3] = color[2];
+        }
+    }
+    return Buffer.concat([
+        Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+        pngChunk('IHDR', header),
+        pngChunk('IDAT', zlib.deflateSync(raw)),
+        pngChunk('IEND', Buffer.alloc(0))
+    ]);
+}
+
+/**
+ * Provider by name, or the object itself when it already implements capture()
+ * @param {string|ScreenshotProvider} provider - screenshotapi, local, mock or a custom provider
+ * @param {Object} [config] - Constructor options for the named provider
+ * @returns {ScreenshotProvider}
+ */
+function createScreenshotProvider(provider, config = {}) {
+    if (provider && typeof provider.capture === 'function') return provider;
+    switch (provider) {
+        case 'screenshotapi':
+            return new ScreenshotApiProvider(config);
+        case 'local':
+            return new LocalBrowserProvider(config);
+        case 'mock':
+            return new MockScreenshotProvider(config);
+        default:
+            throw new Error(`Unknown screenshot provider "${provider}". Use one of ${PROVIDERS.join(', ')} or an object with capture()`);
+    }
+}
+
+module.exports = {
+    ScreenshotProvider,
+    ScreenshotApiProvider,
+    LocalBrowserProvider,
+    MockScreenshotProvider,
+    createScreenshotProvider,
+    SCREENSHOT_PROVIDERS: PROVIDERS
+};
@@ -1,10 +1,20 @@
 require('dotenv').config();
 const fs = require('fs-extra');
 const path = require('path');
-const axios = require('axios');
+const { URL } = require('url');
+const { createScreenshotProvider } = require('./screenshot-providers');
+const { CaptureProfileRegistry } = require('./capture-profiles');
+const ScreenshotProcessor = require('./screenshot-processor');
+const { ImageFingerprinter } = require('./image-fingerprint');
+const { WorkerPool } = require('./concurrency');
+const { TokenBucketLimiter } = require('./rate-limiter');
 
 class ScreenshotService {
-    constructor() {
+    // options.provider: 'screenshotapi' (default, or SCREENSHOT_PROVIDER), 'local', 'mock' or a provider object.
+    // options.providers: constructor options per provider name, e.g. { local: { launchOptions }, mock: { fixturesDir } }
+    // options.profiles: extra capture profile files/entries on top of capture-profiles.json (false disables them)
+    // options.qualityCheck: ImageFingerprinter thresholds { blankUniformity, blankStdev, duplicateDistance }
+    constructor(options = {}) {
         this.screenshotDir = path.join(__dirname, 'screenshots', 'raw');
         this.tempDir = path.join(__dirname, 'screenshots', 'temp');
         this.processedDir = path.join(__dirname, 'screenshots', 'processed');
@@ -14,12 +24,24 @@ class ScreenshotService {
         // Ensure the raw directory exists
         fs.ensureDirSync(this.screenshotDir);
         
-        // Initialize ScreenshotAPI client
-        this.apiKey = process.env.API_KEY_SCREENSHOTAPI;
-        this.baseUrl = 'https://shot.screenshotapi.net/v3/screenshot';
-        
-        console.log('📸 ScreenshotAPI.net initialized');
-        console.log(`   API Key: ${this.apiKey ? 'Set' : 'Missing'}`);
+        // Providers are created on first use so the local backend only loads Chromium when selected
+        this.defaultProvider = options.provider || process.env.SCREENSHOT_PROVIDER || 'screenshotapi';
+        this.providerConfig = options.providers || {};
+        this.providers = new Map();
+        this.getProvider();
+        this.profiles = CaptureProfileRegistry.from(options.profiles);
+        this.processor = new ScreenshotProcessor({ outputDir: this.processedDir, tempDir: this.tempDir });
+        this.fingerprinter = new ImageFingerprinter(options.qualityCheck);
+        this.limiters = new Map();
+    }
+
+    // Named providers are cached; provider objects are used as they are
+    getProvider(selection = this.defaultProvider) {
+        if (selection && typeof selection.capture === 'function') return selection;
+        if (!this.providers.has(selection)) {
+            this.providers.set(selection, createScreenshotProvider(selection, this.providerConfig[selection]));
+        }
+        return this.providers.get(selection);
     }
 
     generateFileName(articleId, timestamp = Date.now(), format = 'jpeg') {
@@ -45,72 +67,41 @@ class ScreenshotService {
             blockPopups: true,
             ...options
         };
+        const profile = defaultOptions.profiles === false ? null : this.profiles.match(url);
+        const settings = this.applyProfile(defaultOptions, profile);
 
-        const fileName = this.generateFileName(articleId, Date.now(), defaultOptions.format);
-        const filePath = path.join(this.screenshotDir, fileName);
+        let provider;
+        try {
+            provider = this.getProvider(defaultOptions.provider);
+        } catch (error) {
+            return { success: false, error: error.message, url: url, articleId: articleId, timestamp: Date.now(), api: null };
+        }
+        // Every provider gets the cleaning CSS/JS; hideSelectors is there for backends that prefer a selector list
+        const captureOptions = {
+            ...settings,
+            hideSelectors: this.getSelectorsToHide(settings),
+            css: this.getCleaningCSS(settings),
+            script: this.getCleaningScript(settings)
+        };
 
         let lastError;
         
         for (let attempt = 1; attempt <= this.maxRetries; attempt++) {
             try {
-                console.log(`Capturing screenshot for ${url} (attempt ${attempt}/${this.maxRetries})`);
-                
-                // Build ScreenshotAPI request parameters
-                const params = new URLSearchParams({
-                    token: this.apiKey,
-                    url: url,
-                    output: 'file',
-                    file_type: defaultOptions.format,
-                    viewport_width: defaultOptions.viewport_width,
-                    viewport_height: defaultOptions.viewport_height,
-                    full_page: defaultOptions.full_page,
-                    delay: defaultOptions.delay * 1000, // Convert to milliseconds
-                    timeout: defaultOptions.timeout * 1000, // Convert to milliseconds
-                    device_scale_factor: defaultOptions.device_scale_factor
-                });
-
-                // Add blocking options if enabled
-                if (defaultOptions.blockAds) {
-                    params.append('block_ads', 'true');
-                }
-                if (defaultOptions.blockCookieBanners) {
-                    params.append('block_cookie_banners', 'true');
+                await this.waitForProvider(provider);
+                if (settings.signal && settings.signal.aborted) {
+                    throw new Error('Capture cancelled');
                 }
-                if (defaultOptions.blockPopups) {
-                    params.append('block_popups', 'true');
-                }
-
-                // Build the full API URL
-                const screenshotUrl = `${this.baseUrl}?${params.toString()}`;
-                console.log(`📸 Using ScreenshotAPI: ${screenshotUrl.substring(0, 100)}...`);
-
-                // Make the API request to get the JSON response
-                const response = await axios.get(screenshotUrl, {
-                    timeout: (defaultOptions.timeout + 10) * 1000 // Add buffer to timeout
-                });
-
-                // Parse the JSON response to get the screenshot URL
-                const screenshotData = response.data;
-                if (!screenshotData || !screenshotData.screenshot) {
-                    throw new Error('Invalid API response: missing screenshot URL');
+                console.log(`Capturing screenshot for ${url} with ${provider.label} (attempt ${attempt}/${this.maxRetries})`);
+                
+                const capture = await provider.capture(url, captureOptions);
+                if (!capture || !capture.buffer || capture.buffer.length === 0) {
+                    throw new Error(`${provider.label} returned no image data`);
                 }
 
-                console.log(`🔗 Screenshot URL: ${screenshotData.screenshot}`);
-
-                // Download the actual image from the screenshot URL
-                const imageResponse = await axios.get(screenshotData.screenshot, {
-                    responseType: 'stream',
-                    timeout: 30000 // 30 second timeout for image download
-                });
-
-                // Save the image to local file
-                const writer = fs.createWriteStream(filePath);
-                imageResponse.data.pipe(writer);
-
-                await new Promise((resolve, reject) => {
-                    writer.on('finish', resolve);
-                    writer.on('error', reject);
-                });
+                const fileName = this.generateFileName(articleId, Date.now(), capture.format || defaultOptions.format);
+                const filePath = path.join(this.screenshotDir, fileName);
+                await fs.writeFile(filePath, capture.buffer);
 
                 console.log(`Screenshot captured successfully: ${fileName}`);
                 return {
@@ -120,11 +111,18 @@ class ScreenshotService {
                     url: url,
                     articleId: articleId,
                     timestamp: Date.now(),
-                    api: 'ScreenshotAPI',
-                    options: defaultOptions
+                    api: provider.label,
+                    provider: provider.name,
+                    profile: profile ? profile.domain : null,
+                    metadata: capture.metadata || {},
+                    options: settings
                 };
                 
             } catch (error) {
+                // Work cancelled by the pool is neither retried nor reported as a failure
+                if (settings.signal && settings.signal.aborted) {
+                    return { success: false, cancelled: true, error: 'Capture cancelled', url: url, articleId: articleId, timestamp: Date.now(), api: provider.label, provider: provider.name };
+                }
                 lastError = error;
                 console.log(`Screenshot attempt ${attempt} failed for ${url}: ${error.message}`);
                 
@@ -142,68 +140,38 @@ class ScreenshotService {
             url: url,
             articleId: articleId,
             timestamp: Date.now(),
-            api: 'ScreenshotAPI'
+            api: provider.label,
+            provider: provider.name
         };
     }
 
+    // Capture articles with a worker pool and resolve with every result and a summary once the pool is done.
+    // options.onResult(result, article) receives results as they complete.
     async batchCapture(articles, options = {}) {
-        const results = [];
-        const batchSize = options.batchSize || 5; // Optimized for API
-        const batchDelay = options.batchDelay || 500; // Reduced delay for API
+        const provider = this.getProvider(options.provider);
         const targetCount = options.targetCount || articles.length;
+        const results = [];
+        let cancelled = 0;
 
-        console.log(`Starting batch capture of ${articles.length} articles with batch size ${batchSize}`);
-        console.log(`📸 Using ScreenshotAPI with popup blocking (allowing cookies and ads)`);
-        console.log(`🎯 Target: ${targetCount} successful screenshots`);
-
-        let articleIndex = 0;
-        let successfulCount = 0;
-        
-        while (successfulCount < targetCount && articleIndex < articles.length) {
-            const remainingNeeded = targetCount - successfulCount;
-            const currentBatchSize = Math.min(batchSize, remainingNeeded, articles.length - articleIndex);
-            const batch = articles.slice(articleIndex, articleIndex + currentBatchSize);
-            
-            console.log(`Processing batch: ${batch.length} articles (${successfulCount}/${targetCount} captured)`);
-
-            // For API services, process sequentially to avoid rate limits
-            const batchResults = [];
-            for (const article of batch) {
-                const articleId = article.id || article.title.replace(/[^a-zA-Z0-9]/g, '_').substring(0, 50);
-                const result = await this.captureScreenshot(article.decodedUrl || article.url, articleId, options);
-                batchResults.push(result);
-                
-                if (result.success) {
-                    successfulCount++;
-                    console.log(`✅ Success count: ${successfulCount}/${targetCount}`);
-                    
-                    // Check if we've reached target
-                    if (successfulCount >= targetCount) {
-                        console.log(`🎯 Target reached! Captured ${successfulCount} screenshots`);
-                        break;
-                    }
-                }
-                
-                // Small delay between individual requests in batch
-                if (batch.indexOf(article) < batch.length - 1) {
-                    await this.delay(100);
-                }
+        for await (const result of this.streamCapture(articles, options)) {
+            if (result.cancelled) {
+                cancelled++;
+                continue;
             }
-            
-            results.push(...batchResults);
-            articleIndex += currentBatchSize;
-
-            // Continue with next batch if we haven't reached target
-            if (successfulCount < targetCount && articleIndex < articles.length) {
-                console.log(`Waiting ${batchDelay}ms before next batch...`);
-                await this.delay(batchDelay);
+            results.push(result);
+            if (options.onResult) {
+                await options.onResult(result, articles[result.index]);
             }
         }
+        // Completion order is not input order
+        results.sort((a, b) => a.index - b.index);
 
         const successful = results.filter(r => r.success).length;
         const failed = results.filter(r => !r.success).length;
+        const blocked = results.filter(r => r.success && r.classification && r.classification.blocked).length;
+        const suspect = results.filter(r => r.success && r.quality && r.quality.suspect).length;
         
-        console.log(`Batch capture completed: ${successful} successful, ${failed} failed`);
+        console.log(`Batch capture completed: ${successful} successful, ${failed} failed${blocked ? `, ${blocked} still blocked` : ''}${suspect ? `, ${suspect} blank or duplicate` : ''}${cancelled ? `, ${cancelled} cancelled` : ''}`);
         
         return {
             results: results,
@@ -211,13 +179,234 @@ class ScreenshotService {
                 total: results.length,
                 successful: successful,
                 failed: failed,
-                successRate: ((successful / results.length) * 100).toFixed(2) + '%',
-                api: 'ScreenshotAPI',
-                targetReached: successful >= targetCount
+                blocked: blocked,
+                suspect: suspect,
+                cancelled: cancelled,
+                successRate: results.length ? ((successful / results.length) * 100).toFixed(2) + '%' : '0.00%',
+                api: provider.label,
+                targetReached: successful - suspect >= targetCount
             }
         };
     }
 
+    /**
+     * Capture articles concurrently and yield each result as it completes (result.index is the article's position).
+     * Stops launching once targetCount useful captures exist and cancels captures still in flight; cancelled
+     * results are yielded with cancelled: true.
+     * @param {Array<Object>} articles - { id?, title, decodedUrl|url }
+     * @param {Object} [options] - Capture options plus concurrency (default batchSize or 4, capped by the
+     *   provider's rateLimit.concurrency), perHostConcurrency (default 1), overscan (captures started beyond
+     *   the ones still needed, default 1), targetCount and signal (AbortSignal cancelling the whole run)
+     * @returns {AsyncGenerator<Object>}
+     */
+    async *streamCapture(articles, options = {}) {
+        const provider = this.getProvider(options.provider);
+        const targetCount = options.targetCount || articles.length;
+        const providerConcurrency = (provider.rateLimit && provider.rateLimit.concurrency) || Infinity;
+        const concurrency = Math.min(options.concurrency || options.batchSize || 4, providerConcurrency);
+        const perHostConcurrency = options.perHostConcurrency || 1;
+        const overscan = options.overscan !== undefined ? options.overscan : 1;
+
+        console.log(`Starting capture of ${articles.length} articles: ${concurrency} at a time, ${perHostConcurrency} per host`);
+        console.log(`📸 Using ${provider.label} with popup blocking (allowing cookies and ads)`);
+        console.log(`🎯 Target: ${targetCount} successful screenshots`);
+
+        const pool = new WorkerPool({
+            concurrency,
+            perKeyConcurrency: perHostConcurrency,
+            key: article => this.getHost(article.decodedUrl || article.url)
+        });
+        const stopPool = () => pool.stop();
+        if (options.signal) {
+            if (options.signal.aborted) return;
+            options.signal.addEventListener('abort', stopPool, { once: true });
+        }
+
+        let successfulCount = 0;
+        // Fingerprints of this run's useful captures, for near-duplicate checks
+        const fingerprints = [];
+        const run = pool.run(
+            articles,
+            (article, index, signal) => this.captureArticle(article, index, { ...options, provider: provider, signal }, fingerprints),
+            { canStart: inFlight => successfulCount + inFlight < targetCount + overscan }
+        );
+
+        try {
+            for await (const outcome of run) {
+                // captureArticle reports its own errors; anything thrown here is a bug in an inspect callback
+                const result = outcome.value || {
+                    success: false,
+                    cancelled: Boolean(outcome.cancelled),
+                    error: outcome.error.message,
+                    url: outcome.item.decodedUrl || outcome.item.url,
+                    timestamp: Date.now(),
+                    api: provider.label,
+                    provider: provider.name
+                };
+                result.index = outcome.index;
+
+                if (result.cancelled) {
+                    console.log(`⏹️  Cancelled: ${result.url}`);
+                } else if (result.success && result.quality && result.quality.suspect) {
+                    console.log(`🔁 Not counted: ${result.quality.reasons.join(' and ')} capture${result.quality.duplicateOf ? ` of ${result.quality.duplicateOf}` : ''}`);
+                } else if (result.success) {
+                    successfulCount++;
+                    console.log(`✅ Success count: ${successfulCount}/${targetCount}`);
+                    if (successfulCount === targetCount) {
+                        console.log(`🎯 Target reached! Captured ${successfulCount} screenshots`);
+                        pool.stop();
+                    }
+                }
+                yield result;
+            }
+        } finally {
+            if (options.signal) {
+                options.signal.removeEventListener('abort', stopPool);
+            }
+        }
+    }
+
+    // One article through capture, inspection, quality check and post-processing
+    async captureArticle(article, index, options, fingerprints) {
+        const articleId = article.id || article.title.replace(/[^a-zA-Z0-9]/g, '_').substring(0, 50);
+        let result = await this.captureScreenshot(article.decodedUrl || article.url, articleId, options);
+        if (result.success && options.inspect) {
+            result = await this.inspectCapture(result, article, articleId, options);
+        }
+        if (result.success && options.qualityCheck !== false) {
+            await this.checkCaptureQuality(result, fingerprints);
+        }
+        if (result.success && !(result.quality && result.quality.suspect) && options.postProcess) {
+            await this.postProcessCapture(result, options);
+        }
+        return result;
+    }
+
+    getHost(url) {
+        try {
+            return new URL(url).hostname.replace(/^www\./, '');
+        } catch (error) {
+            return String(url || '');
+        }
+    }
+
+    // Provider request pacing from its declared rateLimit (requestsPerSecond, burst)
+    async waitForProvider(provider) {
+        if (!provider.rateLimit || !provider.rateLimit.requestsPerSecond) return;
+        if (!this.limiters.has(provider)) {
+            this.limiters.set(provider, new TokenBucketLimiter({
+                requestsPerSecond: provider.rateLimit.requestsPerSecond,
+                minRequestsPerSecond: provider.rateLimit.requestsPerSecond,
+                burst: provider.rateLimit.burst || 1
+            }));
+        }
+        await this.limiters.get(provider).acquire();
+    }
+
+    // Run options.inspect(result, article) on a capture. Blocked captures (paywall, consent, captcha)
+    // are retried once with cookie banner and popup blocking; the blocked file is then removed.
+    async inspectCapture(result, article, articleId, options) {
+        let classification = await options.inspect(result, article);
+        const alreadyBlocking = result.options && result.options.blockCookieBanners && result.options.blockPopups;
+
+        if (classification && classification.blocked && !alreadyBlocking) {
+            console.log(`🚧 Capture looks like a ${classification.label} page, retrying with cookie banner and popup blocking...`);
+            const retry = await this.captureScreenshot(result.url, articleId, {
+                ...options,
+                blockCookieBanners: true,
+                blockPopups: true
+            });
+            if (retry.success) {
+                await fs.remove(result.filePath).catch(() => {});
+                retry.retriedFrom = { label: classification.label, fileName: result.fileName };
+                classification = await options.inspect(retry, article);
+                result = retry;
+            }
+        }
+
+        result.classification = classification || null;
+        return result;
+    }
+
+    // Merge the matching capture profile into the call options. Profile viewports win, delays only grow,
+    // selectors and snippets are combined with the ones passed per call.
+    applyProfile(options, profile) {
+        const settings = {
+            ...options,
+            hideSelectors: [].concat(options.hideSelectors || []),
+            clickSelectors: [].concat(options.clickSelectors || []),
+            scrollToLoad: Boolean(options.scrollToLoad),
+            css: options.css || '',
+            script: options.script || ''
+        };
+
+        if (profile) {
+            if (profile.viewport) {
+                settings.viewport_width = profile.viewport.width;
+                settings.viewport_height = profile.viewport.height;
+            }
+            if (profile.delay !== null) {
+                settings.delay = Math.max(settings.delay, profile.delay);
+            }
+            settings.hideSelectors.push(...profile.hideSelectors);
+            settings.clickSelectors.push(...profile.clickSelectors);
+            settings.scrollToLoad = settings.scrollToLoad || profile.scrollToLoad;
+            settings.css = [profile.css, settings.css].filter(Boolean).join('\n');
+            settings.script = [profile.script, settings.script].filter(Boolean).join('\n');
+        }
+
+        // The scroll loop needs time to finish before the capture
+        if (settings.scrollToLoad) {
+            settings.delay = Math.max(settings.delay, 5);
+        }
+        return settings;
+    }
+
+    // Perceptual hashes and image statistics of the first viewport. Blank captures and near-duplicates of an
+    // earlier capture in the batch are marked suspect and do not count toward targetCount.
+    async checkCaptureQuality(result, fingerprints) {
+        try {
+            const foldHeight = result.options.viewport_height * (result.options.device_scale_factor || 1);
+            const fingerprint = await this.fingerprinter.fingerprint(result.filePath, { foldHeight });
+            const duplicate = fingerprint.blank ? null : this.fingerprinter.findDuplicate(fingerprint, fingerprints);
+            const reasons = [];
+            if (fingerprint.blank) reasons.push('blank');
+            if (duplicate) reasons.push('duplicate');
+
+            result.quality = {
+                ...fingerprint,
+                duplicateOf: duplicate ? duplicate.fileName : null,
+                distance: duplicate ? duplicate.distance : null,
+                suspect: reasons.length > 0,
+                reasons: reasons
+            };
+            if (!result.quality.suspect) {
+                fingerprints.push({ fileName: result.fileName, dHash: fingerprint.dHash, pHash: fingerprint.pHash });
+            }
+        } catch (error) {
+            // An unreadable image is left to the caller; the capture still counts
+            console.log(`⚠️  Quality check failed for ${result.fileName}: ${error.message}`);
+            result.quality = null;
+        }
+        return result;
+    }
+
+    // options.postProcess: true or ScreenshotProcessor settings. A failed post-process keeps the capture.
+    async postProcessCapture(result, options) {
+        try {
+            // The fold is one viewport in image pixels (profiles may have changed the viewport)
+            const viewportHeight = result.options.viewport_height * (result.options.device_scale_factor || 1);
+            result.derivatives = await this.processor.process(result.filePath, options.postProcess, viewportHeight);
+            const bytes = result.derivatives.reduce((sum, derivative) => sum + derivative.bytes, 0);
+            console.log(`🖼️  ${result.derivatives.length} derivatives written to processed/ (${(bytes / 1024).toFixed(0)} KB)`);
+        } catch (error) {
+            console.log(`⚠️  Post-processing failed for ${result.fileName}: ${error.message}`);
+            result.derivatives = [];
+            result.postProcessError = error.message;
+        }
+        return result;
+    }
+
     getSelectorsToHide(options = {}) {
         const selectors = [];
 
@@ -252,6 +441,9 @@ class ScreenshotService {
             );
         }
 
+        // Profile and per-call selectors
+        selectors.push(...(options.hideSelectors || []));
+
         return selectors;
     }
 
@@ -300,17 +492,40 @@ class ScreenshotService {
             `;
         }
 
+        if (options.hideSelectors && options.hideSelectors.length > 0) {
+            css += `
+                /* Profile and per-call selectors */
+                ${options.hideSelectors.join(', ')} {
+                    display: none !important;
+                }
+            `;
+        }
+
         css += `
             /* Clean up body overflow and scrollbars */
             body { overflow-x: hidden !important; }
         `;
 
+        // User-supplied CSS goes last so it can override the generated rules
+        if (options.css) {
+            css += `\n${options.css}\n`;
+        }
+
         return css;
     }
 
     getCleaningScript(options = {}) {
         let script = 'setTimeout(() => {\n';
 
+        if (options.clickSelectors && options.clickSelectors.length > 0) {
+            script += `
+                // Click-to-dismiss buttons (consent "accept", overlay close)
+                ${JSON.stringify(options.clickSelectors)}.forEach(selector => {
+                    document.querySelectorAll(selector).forEach(el => el.click());
+                });
+            `;
+        }
+
         if (options.blockCookieBanners) {
             script += `
                 const cookieSelectors = [
@@ -353,31 +568,54 @@ class ScreenshotService {
             `;
         }
 
+        if (options.scrollToLoad) {
+            script += `
+                // Scroll down a viewport at a time so lazy images and embeds load, then return to the top
+                (async () => {
+                    for (let i = 0; i < 15 && window.scrollY + window.innerHeight < document.body.scrollHeight; i++) {
+                        window.scrollBy(0, window.innerHeight);
+                        await new Promise(resolve => setTimeout(resolve, 200));
+                    }
+                    window.scrollTo(0, 0);
+                })();
+            `;
+        }
+
         script += `
             document.body.style.overflow = 'auto';
             document.documentElement.style.overflow = 'auto';
         }, 1000);`;
 
+        // User-supplied JavaScript is appended as is and runs right away; the cleanup above waits a second
+        if (options.script) {
+            script += `\n${options.script}\n`;
+        }
+
         return script;
     }
 
     async cleanupOldScreenshots(maxAge = 7 * 24 * 60 * 60 * 1000) {
         try {
-            const files = await fs.readdir(this.screenshotDir);
             const now = Date.now();
             let deletedCount = 0;
 
-            for (const file of files) {
-                const filePath = path.join(this.screenshotDir, file);
-                const stats = await fs.stat(filePath);
-                
-                if (stats.isFile() && (now - stats.mtime.getTime()) > maxAge) {
-                    await fs.remove(filePath);
-                    deletedCount++;
+            // Derivatives in processed/ age out with the raw captures
+            for (const dir of [this.screenshotDir, this.processedDir]) {
+                if (!(await fs.pathExists(dir))) continue;
+                const files = await fs.readdir(dir);
+
+                for (const file of files) {
+                    const filePath = path.join(dir, file);
+                    const stats = await fs.stat(filePath);
+                    
+                    if (stats.isFile() && (now - stats.mtime.getTime()) > maxAge) {
+                        await fs.remove(filePath);
+                        deletedCount++;
+                    }
                 }
             }
 
-            console.log(`Cleaned up ${deletedCount} old screenshot files from raw directory`);
+            console.log(`Cleaned up ${deletedCount} old screenshot files from raw and processed directories`);
             return deletedCount;
         } catch (error) {
             console.error(`Error cleaning up screenshots: ${error.message}`);
@@ -385,37 +623,9 @@ class ScreenshotService {
         }
     }
 
-    // Test API connectivity
-    async testConnection() {
-        try {
-            const params = new URLSearchParams({
-                token: this.apiKey,
-                url: 'https://example.com',
-                output: 'file',
-                file_type: 'png',
-                viewport_width: 800,
-                viewport_height: 600
-            });
-
-            const testUrl = `${this.baseUrl}?${params.toString()}`;
-            console.log('🧪 Testing ScreenshotAPI connection...');
-            
-            const response = await axios.get(testUrl, { 
-                timeout: 10000
-            });
-            
-            if (response.status === 200 && response.data && response.data.screenshot) {
-                console.log('✅ ScreenshotAPI connection successful');
-                console.log(`📸 Test screenshot URL: ${response.data.screenshot}`);
-                return true;
-            } else {
-                console.log('❌ ScreenshotAPI test failed with status:', response.status);
-                return false;
-            }
-        } catch (error) {
-            console.log('❌ ScreenshotAPI connection failed:', error.message);
-            return false;
-        }
+    // Test provider connectivity (the default provider unless one is given)
+    async testConnection(provider) {
+        return this.getProvider(provider).testConnection();
     }
 }
 
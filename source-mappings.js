@@ -0,0 +1,214 @@
+// source-mappings.js - Source-name-to-domain mappings learned from successful decodes
+const fs = require('fs-extra');
+const path = require('path');
+const { URL } = require('url');
+const { defaultCacheDir } = require('./decode-cache');
+
+function normalizeSourceName(value) {
+    return String(value || '').toLowerCase().replace(/\s+/g, ' ').trim();
+}
+
+function hostOf(url) {
+    try {
+        return new URL(url).hostname.toLowerCase().replace(/^www\./, '');
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Every successful decode is an observation: RSS <source> "X" (with its url attribute) was
+ * published on domain Y. A mapping is promoted once a domain accounts for enough of a source's
+ * observations, and demoted again if later decodes stop agreeing.
+ *
+ * The table is read synchronously on construction so lookups can stay synchronous; writes are
+ * debounced like the JSON decode cache. Without a filePath nothing is written to disk.
+ */
+class SourceMappingStore {
+    /**
+     * @param {Object} [options]
+     * @param {string|null} [options.filePath] - JSON file to load and persist the table (default null: memory only)
+     * @param {number} [options.minObservations] - Observations of one domain needed for promotion (default 3)
+     * @param {number} [options.minConsistency] - Share of the source's observations that domain needs (default 0.8)
+     * @param {number} [options.saveDelay] - Debounce for writes in ms (default 500)
+     */
+    constructor(options = {}) {
+        this.filePath = options.filePath || null;
+        this.minObservations = options.minObservations || 3;
+        this.minConsistency = options.minConsistency || 0.8;
+        this.saveDelay = options.saveDelay !== undefined ? options.saveDelay : 500;
+        this.sources = new Map();
+        this.saveTimer = null;
+        this.flushOnExit = () => this.saveSync();
+        this.load();
+    }
+
+    load() {
+        if (!this.filePath) return;
+        try {
+            if (fs.pathExistsSync(this.filePath)) {
+                const data = fs.readJsonSync(this.filePath);
+                Object.entries(data.sources || {}).forEach(([key, entry]) => {
+                    this.sources.set(key, { ...entry, domains: { ...entry.domains } });
+                });
+            }
+        } catch (error) {
+            console.warn(`⚠️  Could not read source mappings ${this.filePath}: ${error.message}`);
+        }
+    }
+
+    /**
+     * Record one observation
+     * @param {string} sourceName - RSS <source> text
+     * @param {string|null} sourceUrl - RSS <source url="..."> attribute
+     * @param {string} domain - Domain of the decoded article URL
+     */
+    record(sourceName, sourceUrl, domain) {
+        const key = normalizeSourceName(sourceName);
+        if (!key || key === 'unknown' || !domain || domain === 'unknown-domain') return;
+
+        const entry = this.sources.get(key) || {
+            sourceName,
+            sourceUrl: null,
+            domains: {},
+            observations: 0,
+            promoted: null,
+            lastSeen: null
+        };
+        entry.sourceUrl = sourceUrl || entry.sourceUrl;
+        entry.domains[domain] = (entry.domains[domain] || 0) + 1;
+        entry.observations++;
+        entry.lastSeen = Date.now();
+
+        const previous = entry.promoted;
+        entry.promoted = this.evaluate(entry);
+        if (entry.promoted && entry.promoted !== previous) {
+            console.log(`🧠 Learned source mapping: "${entry.sourceName}" → ${entry.promoted} (${entry.domains[entry.promoted]}/${entry.observations})`);
+        }
+
+        this.sources.set(key, entry);
+        this.scheduleSave();
+    }
+
+    // Promotion rule: the leading domain needs minObservations hits and minConsistency of all hits
+    evaluate(entry) {
+        const [domain, count] = Object.entries(entry.domains).sort(([, a], [, b]) => b - a)[0] || [];
+        if (!domain) return null;
+        return count >= this.minObservations && count / entry.observations >= this.minConsistency ? domain : null;
+    }
+
+    /**
+     * Promoted domain for a source, matched by name first and then by the source url attribute
+     * @param {string} sourceName
+     * @param {string|null} [sourceUrl]
+     * @returns {string|null}
+     */
+    lookup(sourceName, sourceUrl = null) {
+        const entry = this.sources.get(normalizeSourceName(sourceName));
+        if (entry && entry.promoted) return entry.promoted;
+
+        const host = sourceUrl && hostOf(sourceUrl);
+        if (host) {
+            for (const candidate of this.sources.values()) {
+                if (candidate.promoted && candidate.sourceUrl && hostOf(candidate.sourceUrl) === host) {
+                    return candidate.promoted;
+                }
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Promoted mappings, e.g. for review or to seed a publisher registry
+     * @returns {Object} { generatedAt, mappings: [{ sourceName, sourceUrl, domain, observations, consistency }] }
+     */
+    export() {
+        const mappings = [...this.sources.values()]
+            .filter(entry => entry.promoted)
+            .map(entry => ({
+                sourceName: entry.sourceName,
+                sourceUrl: entry.sourceUrl,
+                domain: entry.promoted,
+                observations: entry.observations,
+                consistency: Number((entry.domains[entry.promoted] / entry.observations).toFixed(2))
+            }))
+            .sort((a, b) => a.sourceName.localeCompare(b.sourceName));
+        return { generatedAt: new Date().toISOString(), mappings };
+    }
+
+    async exportToFile(filePath) {
+        const data = this.export();
+        await fs.ensureDir(path.dirname(filePath));
+        await fs.writeJSON(filePath, data, { spaces: 2 });
+        return data;
+    }
+
+    getStats() {
+        const entries = [...this.sources.values()];
+        return {
+            sources: entries.length,
+            promoted: entries.filter(entry => entry.promoted).length,
+            observations: entries.reduce((sum, entry) => sum + entry.observations, 0)
+        };
+    }
+
+    // Same lifecycle as the JSON decode cache: an unref'd timer, and a synchronous flush at exit
+    scheduleSave() {
+        if (!this.filePath || this.saveTimer) return;
+        this.saveTimer = setTimeout(() => {
+            this.saveTimer = null;
+            process.removeListener('exit', this.flushOnExit);
+            this.save().catch(error => console.warn(`⚠️  Could not write source mappings: ${error.message}`));
+        }, this.saveDelay);
+        this.saveTimer.unref();
+        process.once('exit', this.flushOnExit);
+    }
+
+    cancelScheduledSave() {
+        if (this.saveTimer) {
+            clearTimeout(this.saveTimer);
+            this.saveTimer = null;
+            process.removeListener('exit', this.flushOnExit);
+        }
+    }
+
+    // Write immediately, e.g. before the process exits
+    async save() {
+        this.cancelScheduledSave();
+        if (!this.filePath) return;
+        await fs.ensureDir(path.dirname(this.filePath));
+        await fs.writeJSON(this.filePath, { sources: Object.fromEntries(this.sources) }, { spaces: 2 });
+    }
+
+    saveSync() {
+        this.cancelScheduledSave();
+        if (!this.filePath) return;
+        try {
+            fs.ensureDirSync(path.dirname(this.filePath));
+            fs.writeJSONSync(this.filePath, { sources: Object.fromEntries(this.sources) }, { spaces: 2 });
+        } catch (error) {
+            console.warn(`⚠️  Could not write source mappings: ${error.message}`);
+        }
+    }
+}
+
+/**
+ * Build the store from a config value: false disables learning, undefined/null learns in memory only,
+ * true persists to source-mappings.json in the user cache directory, an existing store is reused and
+ * anything else is passed as SourceMappingStore options.
+ * @param {Object|boolean|null} config
+ * @returns {SourceMappingStore|null}
+ */
+function createSourceMappingStore(config) {
+    if (config === false) return null;
+    if (config instanceof SourceMappingStore) return config;
+    if (config === true) {
+        return new SourceMappingStore({ filePath: path.join(defaultCacheDir(), 'source-mappings.json') });
+    }
+    return new SourceMappingStore(config || {});
+}
+
+module.exports = {
+    SourceMappingStore,
+    createSourceMappingStore
+};
@@ -0,0 +1,215 @@
+// story-clusterer.js - Group near-duplicate articles (rewrites of the same story) into clusters
+const crypto = require('crypto');
+
+const METHODS = ['tfidf', 'minhash'];
+
+const DEFAULT_THRESHOLDS = {
+    tfidf: 0.5,
+    minhash: 0.4
+};
+
+// Short English function words that carry no story identity
+const STOPWORDS = new Set([
+    'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'for', 'from', 'has', 'have', 'in', 'is', 'it', 'its',
+    'of', 'on', 'or', 'that', 'the', 'this', 'to', 'was', 'were', 'will', 'with', 'after', 'over', 'says',
+    'said', 'new', 'news', 'more', 'than', 'into', 'about', 'but', 'not', 'what', 'how', 'why', 'who'
+]);
+
+function mix32(value) {
+    let h = value >>> 0;
+    h ^= h >>> 16;
+    h = Math.imul(h, 0x85ebca6b);
+    h ^= h >>> 13;
+    h = Math.imul(h, 0xc2b2ae35);
+    h ^= h >>> 16;
+    return h >>> 0;
+}
+
+function fnv1a(text) {
+    let h = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+        h ^= text.charCodeAt(i);
+        h = Math.imul(h, 0x01000193);
+    }
+    return h >>> 0;
+}
+
+class StoryClusterer {
+    /**
+     * @param {Object} [options]
+     * @param {string} [options.method] - tfidf (cosine over TF-IDF vectors, default) or minhash (estimated Jaccard)
+     * @param {number} [options.threshold] - Minimum similarity to link two articles (default 0.5 tfidf, 0.4 minhash)
+     * @param {number} [options.shingleSize] - Words per shingle for minhash (default 1)
+     * @param {number} [options.numHashes] - MinHash signature length (default 128)
+     * @param {Function} [options.getText] - (article) => text, default title + description
+     */
+    constructor(options = {}) {
+        this.method = options.method || 'tfidf';
+        if (!METHODS.includes(this.method)) {
+            throw new Error(`Unknown clustering method "${this.method}". Use one of ${METHODS.join(', ')}`);
+        }
+        this.threshold = options.threshold !== undefined ? options.threshold : DEFAULT_THRESHOLDS[this.method];
+        this.shingleSize = options.shingleSize || 1;
+        this.numHashes = options.numHashes || 128;
+        this.getText = options.getText || (article => `${article.title || ''} ${article.description || ''}`);
+        this.seeds = Array.from({ length: this.numHashes }, (_, i) => mix32(i + 1));
+    }
+
+    tokenize(text) {
+        return (String(text).toLowerCase().match(/[\p{L}\p{N}]+/gu) || [])
+            .filter(token => token.length > 1 && !STOPWORDS.has(token));
+    }
+
+    /**
+     * Group articles into story clusters. Two articles are linked when their similarity reaches the
+     * threshold; clusters are the connected groups (single link).
+     * @param {Array<Object>} articles
+     * @returns {Array<Object>} [{ id, size, representative, members }] in order of first appearance; members keep input order
+     */
+    cluster(articles) {
+        const documents = articles.map(article => this.tokenize(this.getText(article)));
+        const vectors = this.method === 'tfidf' ? this.tfidfVectors(documents) : documents.map(tokens => this.minhashSignature(tokens));
+
+        const parent = articles.map((_, i) => i);
+        const find = i => (parent[i] === i ? i : (parent[i] = find(parent[i])));
+
+        for (const [i, j] of this.candidatePairs(documents)) {
+            if (find(i) !== find(j) && this.similarity(vectors[i], vectors[j]) >= this.threshold) {
+                parent[Math.max(find(i), find(j))] = Math.min(find(i), find(j));
+            }
+        }
+
+        const groups = new Map();
+        articles.forEach((_, i) => {
+            const root = find(i);
+            if (!groups.has(root)) groups.set(root, []);
+            groups.get(root).push(i);
+        });
+
+        return [...groups.values()].map(indexes => {
+            const representative = articles[this.pickRepresentative(indexes, vectors, articles)];
+            return {
+                id: this.clusterId(representative),
+                size: indexes.length,
+                representative,
+                members: indexes.map(i => articles[i])
+            };
+        });
+    }
+
+    // Only articles that share at least one informative token can reach the threshold
+    candidatePairs(documents) {
+        const postings = new Map();
+        documents.forEach((tokens, i) => {
+            new Set(tokens).forEach(token => {
+                if (!postings.has(token)) postings.set(token, []);
+                postings.get(token).push(i);
+            });
+        });
+
+        const maxPosting = Math.max(10, Math.ceil(documents.length / 2));
+        const pairs = new Set();
+        for (const docs of postings.values()) {
+            if (docs.length < 2 || docs.length > maxPosting) continue;
+            for (let a = 0; a < docs.length; a++) {
+                for (let b = a + 1; b < docs.length; b++) {
+                    pairs.add(docs[a] * documents.length + docs[b]);
+                }
+            }
+        }
+        return [...pairs].map(key => [Math.floor(key / documents.length), key % documents.length]);
+    }
+
+    similarity(a, b) {
+        if (this.method === 'tfidf') {
+            let dot = 0;
+            const [small, large] = a.size <= b.size ? [a, b] : [b, a];
+            for (const [term, weight] of small) {
+                const other = large.get(term);
+                if (other) dot += weight * other;
+            }
+            return dot;
+        }
+
+        if (!a || !b) return 0;
+        let equal = 0;
+        for (let i = 0; i < a.length; i++) {
+            if (a[i] === b[i]) equal++;
+        }
+        return equal / a.length;
+    }
+
+    // L2-normalized TF-IDF with sublinear term frequency, so similarity is a plain dot product
+    tfidfVectors(documents) {
+        const df = new Map();
+        documents.forEach(tokens => new Set(tokens).forEach(token => df.set(token, (df.get(token) || 0) + 1)));
+
+        return documents.map(tokens => {
+            const tf = new Map();
+            tokens.forEach(token => tf.set(token, (tf.get(token) || 0) + 1));
+
+            const vector = new Map();
+            let norm = 0;
+            for (const [token, count] of tf) {
+                const weight = (1 + Math.log(count)) * Math.log((1 + documents.length) / (1 + df.get(token)) + 1);
+                vector.set(token, weight);
+                norm += weight * weight;
+            }
+            norm = Math.sqrt(norm) || 1;
+            for (const [token, weight] of vector) {
+                vector.set(token, weight / norm);
+            }
+            return vector;
+        });
+    }
+
+    minhashSignature(tokens) {
+        const shingles = new Set();
+        for (let i = 0; i + this.shingleSize <= tokens.length; i++) {
+            shingles.add(fnv1a(tokens.slice(i, i + this.shingleSize).join(' ')));
+        }
+        if (shingles.size === 0) return null;
+
+        const signature = new Uint32Array(this.numHashes).fill(0xffffffff);
+        for (const shingle of shingles) {
+            for (let i = 0; i < this.numHashes; i++) {
+                const h = mix32(shingle ^ this.seeds[i]);
+                if (h < signature[i]) signature[i] = h;
+            }
+        }
+        return signature;
+    }
+
+    // Best-scored member (article.score.total from ranking), or the first in input order when the
+    // articles are unscored; the medoid (member most similar to the rest) only breaks score ties
+    pickRepresentative(indexes, vectors, articles) {
+        if (indexes.length === 1) return indexes[0];
+        const scoreOf = i => (articles[i].score && typeof articles[i].score.total === 'number' ? articles[i].score.total : -Infinity);
+        const topScore = Math.max(...indexes.map(scoreOf));
+        if (topScore === -Infinity) return indexes[0];
+
+        const tied = indexes.filter(i => scoreOf(i) >= topScore - 1e-9);
+        if (tied.length === 1) return tied[0];
+        let best = tied[0];
+        let bestCentrality = -1;
+        for (const i of tied) {
+            const centrality = indexes.reduce((sum, j) => (i === j ? sum : sum + this.similarity(vectors[i], vectors[j])), 0);
+            if (centrality > bestCentrality + 1e-9) {
+                best = i;
+                bestCentrality = centrality;
+            }
+        }
+        return best;
+    }
+
+    // Stable across runs as long as the representative stays the same
+    clusterId(article) {
+        const key = article.canonicalUrl || article.realUrl || article.link || article.title;
+        return `story-${crypto.createHash('md5').update(String(key)).digest('hex').substring(0, 10)}`;
+    }
+}
+
+module.exports = {
+    StoryClusterer,
+    CLUSTERING_METHODS: METHODS
+};
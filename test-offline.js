@@ -0,0 +1,1301 @@
+// test-offline.js - Offline checks: stubbed HTTP clients and the mock screenshot provider, no network or API keys
+const assert = require('assert');
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+const axios = require('axios');
+const sharp = require('sharp');
+const { GoogleNewsDecoder, IntegratedGoogleNewsSearcher } = require('./news-searcher');
+const GoogleNewsQuery = require('./query-builder');
+const { MemoryDecodeCache, JsonFileDecodeCache, createDecodeCache } = require('./decode-cache');
+const { CircuitBreaker, backoffDelay } = require('./rate-limiter');
+const { ProxyPool, isProxyFailure } = require('./proxy-pool');
+const UrlCanonicalizer = require('./url-canonicalizer');
+const { PublisherRegistry, getRegistrableDomain } = require('./publisher-registry');
+const { SourceMappingStore, createSourceMappingStore } = require('./source-mappings');
+const { StoryClusterer } = require('./story-clusterer');
+const ArticleMetadataExtractor = require('./article-metadata');
+const ContentExtractor = require('./content-extractor');
+const { PageClassifier } = require('./page-classifier');
+const ScreenshotService = require('./screenshot-service');
+const { MockScreenshotProvider } = require('./screenshot-providers');
+const ScreenshotProcessor = require('./screenshot-processor');
+const { ImageFingerprinter } = require('./image-fingerprint');
+const { WorkerPool } = require('./concurrency');
+
+const checks = [];
+
+function check(name, fn) {
+    checks.push({ name, fn });
+}
+
+// Module logging is noise here; only the check results are printed
+async function quietly(fn) {
+    const { log, warn, error } = console;
+    console.log = () => {};
+    console.warn = () => {};
+    console.error = () => {};
+    try {
+        return await fn();
+    } finally {
+        console.log = log;
+        console.warn = warn;
+        console.error = error;
+    }
+}
+
+function httpError(status) {
+    const error = new Error(`Request failed with status code ${status}`);
+    error.response = { status, headers: {}, data: '' };
+    return error;
+}
+
+// --- Feeds and locales ---
+
+// Feed XML as Google News serves it, for checks that stub the HTTP layer rather than fetchRss
+function rssXml(items) {
+    const entries = items.map(({ title, source = 'Example News', domain = 'example.com', day = '2024-01-01' }) => `
+        <item>
+            <title>${title} - ${source}</title>
+            <link>https://news.google.com/rss/articles/${encodeURIComponent(title)}</link>
+            <guid isPermaLink="false">${encodeURIComponent(title)}</guid>
+            <pubDate>${new Date(`${day}T12:00:00Z`).toUTCString()}</pubDate>
+            <description>${title}</description>
+            <source url="https://www.${domain}">${source}</source>
+        </item>`).join('');
+    return `<?xml version="1.0" encoding="UTF-8"?><rss version="2.0"><channel><title>Feed</title>${entries}</channel></rss>`;
+}
+
+// Answer feed requests made through axios.get or axios.request; feedFor(url) returns the items, or nothing for a 503
+async function withFeeds(feedFor, fn) {
+    const { get, request } = axios;
+    const respond = async url => {
+        const items = feedFor(new URL(url));
+        if (!items) throw httpError(503);
+        return { status: 200, headers: {}, data: rssXml(items) };
+    };
+    axios.get = url => respond(url);
+    axios.request = config => respond(config.url);
+    try {
+        return await fn();
+    } finally {
+        axios.get = get;
+        axios.request = request;
+    }
+}
+
+check('feed URLs accept BCP-47 language tags with a script or region subtag', async () => {
+    const searcher = new IntegratedGoogleNewsSearcher();
+    assert.strictEqual(searcher.buildFeedUrl('', 'en', 'US'), 'https://news.google.com/rss?hl=en-US&gl=US&ceid=US:en');
+    assert.strictEqual(searcher.buildFeedUrl('', 'pt-BR', 'BR'), 'https://news.google.com/rss?hl=pt-BR&gl=BR&ceid=BR:pt-BR');
+    assert.strictEqual(searcher.buildFeedUrl('', 'zh-Hant', 'TW'), 'https://news.google.com/rss?hl=zh-Hant-TW&gl=TW&ceid=TW:zh-Hant');
+    ['zh-Hans', 'es-419', 'zh-Hant-TW'].forEach(language => assert.doesNotThrow(() => searcher.validateLocale(language, 'US'), language));
+    ['english', 'en_US', 'pt-Brazil', ''].forEach(language => assert.throws(() => searcher.validateLocale(language, 'US'), /Invalid language code/, language));
+    assert.throws(() => searcher.validateLocale('en', 'USA'), /Invalid country code/);
+});
+
+check('topic, geo and top-stories feeds use their own paths', async () => {
+    const searcher = new IntegratedGoogleNewsSearcher();
+    assert.strictEqual(searcher.buildTopicUrl('technology', 'en', 'US'), 'https://news.google.com/rss/headlines/section/topic/TECHNOLOGY?hl=en-US&gl=US&ceid=US:en');
+    assert.strictEqual(searcher.buildTopicUrl('CAAqJggKIiBDQkFTRWdvSUwyMHZNRGx6TVdZU0FtVnVHZ0pWVXlnQVAB', 'en', 'US'),
+        'https://news.google.com/rss/topics/CAAqJggKIiBDQkFTRWdvSUwyMHZNRGx6TVdZU0FtVnVHZ0pWVXlnQVAB?hl=en-US&gl=US&ceid=US:en');
+    assert.strictEqual(searcher.buildGeoUrl('San Francisco', 'en', 'US'), 'https://news.google.com/rss/headlines/section/geo/San%20Francisco?hl=en-US&gl=US&ceid=US:en');
+    assert.throws(() => searcher.buildTopicUrl('weather', 'en', 'US'), /Unknown topic "weather"/);
+
+    const paths = [];
+    const result = await withFeeds(url => {
+        paths.push(url.pathname);
+        return [{ title: 'Markets rally as inflation cools' }];
+    }, () => searcher.getTopStories('en', 'GB', 10, false));
+    assert.strictEqual(result.success, true, result.error);
+    assert.strictEqual(result.feed, 'top');
+    assert.deepStrictEqual(paths, ['/rss']);
+    assert.deepStrictEqual(result.articles.map(article => article.title), ['Markets rally as inflation cools']);
+});
+
+// --- Query builder ---
+
+check('query builder emits Google News operators in a stable order', async () => {
+    const query = new GoogleNewsQuery('bitcoin')
+        .phrase('spot etf')
+        .or('sec', 'securities and exchange commission')
+        .intitle('approval')
+        .site('reuters.com', 'https://www.bloomberg.com/markets')
+        .excludeSite('example.com')
+        .exclude('rumor')
+        .after('2024-01-01')
+        .before(new Date(Date.UTC(2024, 1, 1)))
+        .allintext('price', 'volume');
+    assert.strictEqual(query.build(), 'bitcoin "spot etf" (sec OR "securities and exchange commission") intitle:approval ' +
+        '(site:reuters.com OR site:www.bloomberg.com) -site:example.com -rumor after:2024-01-01 before:2024-02-01 allintext:price volume');
+    assert.strictEqual(new URL(new IntegratedGoogleNewsSearcher().buildSearchUrl(query, 'en', 'US')).searchParams.get('q'), query.build());
+    assert.strictEqual(new GoogleNewsQuery('election').when('7d').build(), 'election when:7d');
+});
+
+check('query builder rejects raw operators, empty queries and contradictory dates', async () => {
+    assert.throws(() => new GoogleNewsQuery().term('site:cnn.com'), /raw "site:" operator/);
+    assert.throws(() => new GoogleNewsQuery().phrase('say "hello"'), /must not contain double quotes/);
+    assert.throws(() => new GoogleNewsQuery().site('not a domain'), /is not a valid domain/);
+    assert.throws(() => new GoogleNewsQuery().build(), /Query needs at least one/);
+    assert.throws(() => new GoogleNewsQuery('x').when('7d').after('2024-01-01').build(), /when: cannot be combined/);
+    assert.throws(() => new GoogleNewsQuery('x').after('2024-02-01').before('2024-01-01').build(), /must be earlier/);
+});
+
+// --- Multi-search ---
+
+check('multi-search merges every keyword and locale and records each query that found an article', async () => {
+    const searcher = new IntegratedGoogleNewsSearcher();
+    const feeds = {
+        'bitcoin US': [{ title: 'Bitcoin hits a record high' }, { title: 'Miners expand operations in Texas', domain: 'other.com' }],
+        'bitcoin GB': [{ title: 'Bitcoin hits a record high' }],
+        'ethereum US': [{ title: 'Ethereum upgrade goes live', domain: 'third.com' }]
+    };
+    const result = await withFeeds(url => feeds[`${url.searchParams.get('q')} ${url.searchParams.get('gl')}`], () =>
+        searcher.searchMultiple(['bitcoin', 'ethereum'], [{ language: 'en', country: 'US' }, { language: 'en', country: 'GB' }], { decodeUrls: false }));
+
+    assert.strictEqual(result.success, true, result.error);
+    assert.deepStrictEqual(result.articles.map(article => article.title), [
+        'Bitcoin hits a record high',
+        'Miners expand operations in Texas',
+        'Ethereum upgrade goes live'
+    ]);
+    assert.deepStrictEqual(result.articles[0].foundBy, [
+        { keyword: 'bitcoin', language: 'en', country: 'US' },
+        { keyword: 'bitcoin', language: 'en', country: 'GB' }
+    ]);
+    assert.deepStrictEqual(result.articles[2].foundBy, [{ keyword: 'ethereum', language: 'en', country: 'US' }]);
+
+    // The ethereum/GB feed answered 503: reported per query, the search still succeeds
+    assert.strictEqual(result.queries.length, 4);
+    const failed = result.queries.filter(query => !query.success);
+    assert.deepStrictEqual(failed.map(query => [query.keyword, query.country]), [['ethereum', 'GB']]);
+});
+
+// --- Deep search ---
+
+// Parsed the way fetchRss parses feeds (xml2js, explicitArray: false)
+function rssFeed(items) {
+    return {
+        rss: {
+            channel: {
+                item: items.map(([title, day]) => ({
+                    title: `${title} - Example News`,
+                    link: `https://news.google.com/rss/articles/${encodeURIComponent(title)}`,
+                    guid: encodeURIComponent(title),
+                    pubDate: new Date(`${day}T12:00:00Z`).toUTCString(),
+                    description: '',
+                    source: { _: 'Example News', $: { url: 'https://www.example.com' } }
+                }))
+            }
+        }
+    };
+}
+
+// Deep search windows issue after:/before: queries; collect them and answer with empty feeds
+function recordingSearcher() {
+    const searcher = new IntegratedGoogleNewsSearcher();
+    searcher.queries = [];
+    searcher.fetchRss = async url => {
+        searcher.queries.push(new URL(url).searchParams.get('q'));
+        return rssFeed([]);
+    };
+    return searcher;
+}
+
+check('deep search keeps the other windows when one window fails', async () => {
+    const searcher = new IntegratedGoogleNewsSearcher();
+    const headlines = {
+        '2024-01-01': 'Polls open across the country',
+        '2024-01-03': 'Court hears turnout challenge'
+    };
+    searcher.fetchRss = async url => {
+        const day = new URL(url).searchParams.get('q').match(/after:(\S+)/)[1];
+        if (!headlines[day]) throw httpError(503);
+        return rssFeed([[headlines[day], day]]);
+    };
+    const results = await searcher.searchDeep('election', { from: '2024-01-01', to: '2024-01-03', windowDays: 1, decodeUrls: false });
+    assert.strictEqual(results.success, true);
+    assert.strictEqual(results.totalResults, 2);
+    assert.strictEqual(results.failedWindows, 1);
+    assert.strictEqual(results.incomplete, true);
+    assert.match(results.windows.find(w => w.after === '2024-01-02').error, /503/);
+});
+
+check('deep search fails when every window fails', async () => {
+    const searcher = new IntegratedGoogleNewsSearcher();
+    searcher.fetchRss = async () => { throw httpError(503); };
+    const results = await searcher.searchDeep('election', { from: '2024-01-01', to: '2024-01-02', windowDays: 1, decodeUrls: false });
+    assert.strictEqual(results.success, false);
+    assert.match(results.error, /All 2 deep search windows failed/);
+});
+
+check('deep search windows a GoogleNewsQuery that has when:', async () => {
+    const searcher = recordingSearcher();
+    const keyword = new GoogleNewsQuery('election').when('7d');
+    const results = await searcher.searchDeep(keyword, { from: '2024-01-01', to: '2024-01-01', decodeUrls: false });
+    assert.strictEqual(results.success, true, results.error);
+    assert.deepStrictEqual(searcher.queries, ['election after:2024-01-01 before:2024-01-02']);
+    assert.strictEqual(keyword.whenValue, '7d');
+});
+
+check('deep search drops when: from quoted phrases and OR groups in a query string', async () => {
+    assert.strictEqual(GoogleNewsQuery.stripOperators('"election when:7d results" bitcoin', ['when']), '"election results" bitcoin');
+    assert.strictEqual(GoogleNewsQuery.stripOperators('(bitcoin OR when:7d)crypto', ['when']), '(bitcoin) crypto');
+    assert.strictEqual(GoogleNewsQuery.stripOperators('(when:1d OR after:2024-01-01) crypto', ['when', 'after']), 'crypto');
+
+    const searcher = recordingSearcher();
+    const results = await searcher.searchDeep('(election OR when:7d) "vote count when:1d"', { from: '2024-01-01', to: '2024-01-01', decodeUrls: false });
+    assert.strictEqual(results.success, true, results.error);
+    assert.deepStrictEqual(searcher.queries, ['(election) "vote count" after:2024-01-01 before:2024-01-02']);
+});
+
+// --- Offline article ID decoding ---
+
+function varint(value) {
+    const bytes = [];
+    while (value >= 0x80) {
+        bytes.push((value % 0x80) | 0x80);
+        value = Math.floor(value / 0x80);
+    }
+    bytes.push(value);
+    return Buffer.from(bytes);
+}
+
+// A "CBMi..." article ID: a varint field 1, the source URL (or an AU_yqL token) in field 4, the AMP URL in field 26
+function articleId(value, ampUrl = null) {
+    const field = (number, text) => {
+        const bytes = Buffer.from(text, 'utf8');
+        return Buffer.concat([varint(number * 8 + 2), varint(bytes.length), bytes]);
+    };
+    const parts = [Buffer.from([0x08, 0x13]), field(4, value)];
+    if (ampUrl) parts.push(field(26, ampUrl));
+    return Buffer.concat(parts).toString('base64url');
+}
+
+check('CBMi article IDs decode offline, including URLs longer than 128 characters', async () => {
+    const decoder = new GoogleNewsDecoder();
+    const short = 'https://www.example.com/2024/01/01/story.html';
+    const long = `https://www.example.com/world/2024/01/01/${'a-rather-long-headline-slug-'.repeat(5)}story.html?ref=rss`;
+    assert.ok(long.length > 128);
+
+    for (const url of [short, long]) {
+        const id = articleId(url);
+        assert.ok(id.startsWith('CBMi'), id);
+        const result = decoder.decodeBase64Locally(id);
+        assert.strictEqual(result.status, true, result.message);
+        assert.strictEqual(result.decoded_url, url);
+        assert.strictEqual(result.method, 'offline');
+    }
+
+    const amp = decoder.decodeBase64Locally(articleId(long, 'https://www.example.com/amp/story.html'));
+    assert.strictEqual(amp.decoded_url, long);
+    assert.strictEqual(amp.amp_url, 'https://www.example.com/amp/story.html');
+
+    const viaUrl = await decoder.decodeGoogleNewsUrl(`https://news.google.com/rss/articles/${articleId(long)}?oc=5`, { offlineOnly: true });
+    assert.strictEqual(viaUrl.decoded_url, long);
+});
+
+check('opaque AU_yqL article IDs are left for batchexecute', async () => {
+    const decoder = new GoogleNewsDecoder();
+    const result = decoder.decodeBase64Locally(articleId('AU_yqLOpaqueToken'));
+    assert.strictEqual(result.status, false);
+    assert.strictEqual(result.requiresSignature, true);
+
+    const offline = await decoder.decodeGoogleNewsUrl(`https://news.google.com/rss/articles/${articleId('AU_yqLOpaqueToken')}`, { offlineOnly: true });
+    assert.strictEqual(offline.status, false);
+});
+
+// --- Batched decoding ---
+
+// batchexecute answer: the )]}' guard, then length-prefixed JSON chunks of rows
+function batchResponse(rows) {
+    const chunk = JSON.stringify(rows);
+    const trailer = JSON.stringify([['di', 42], ['af.httprm', 41, '-1', 5]]);
+    return `)]}'\n\n${chunk.length}\n${chunk}\n${trailer.length}\n${trailer}\n`;
+}
+
+// A decoded-URL row; Google ends it with the envelope's request id, or "generic" for a lone envelope
+function decodedRow(url, requestId = 'generic') {
+    return ['wrb.fr', 'Fbv4je', JSON.stringify(['garturlres', url, 1]), null, null, null, requestId];
+}
+
+const BATCH_IDS = ['a', 'b', 'c'].map(id => articleId(`AU_yqL${id}`));
+const BATCH_PARAMS = BATCH_IDS.map(base64Str => ({ signature: `sig-${base64Str}`, timestamp: '1700000000', base64Str }));
+
+// A decoder whose batchexecute POSTs are answered by respond(envelopes); single decodes are recorded
+function batchDecoder(respond) {
+    const decoder = new GoogleNewsDecoder();
+    decoder.posts = [];
+    decoder.singles = [];
+    decoder.postBatchExecute = async envelopes => {
+        decoder.posts.push(envelopes);
+        return { status: 200, headers: {}, data: respond(envelopes) };
+    };
+    decoder.getDecodingParams = async base64Str => ({ status: true, ...BATCH_PARAMS[BATCH_IDS.indexOf(base64Str)] });
+    decoder.decodeUrl = async (signature, timestamp, base64Str) => {
+        decoder.singles.push(base64Str);
+        return { status: true, decoded_url: `https://single.example.com/${BATCH_IDS.indexOf(base64Str)}` };
+    };
+    return decoder;
+}
+
+check('batchexecute rows are matched to articles by the request id Google echoes', async () => {
+    const decoder = batchDecoder(() => batchResponse([
+        decodedRow('https://c.example.com/', '3'),
+        decodedRow('https://a.example.com/', '1'),
+        decodedRow('https://b.example.com/', '2')
+    ]));
+    const results = await decoder.decodeUrlsBatch(BATCH_PARAMS);
+    assert.deepStrictEqual(results.map(result => result.decoded_url), ['https://a.example.com/', 'https://b.example.com/', 'https://c.example.com/']);
+    assert.deepStrictEqual(decoder.posts[0].map(envelope => envelope[3]), ['1', '2', '3']);
+});
+
+check('rows without request ids are matched by position only when every article has one', async () => {
+    const complete = batchDecoder(() => batchResponse(['a', 'b', 'c'].map(id => decodedRow(`https://${id}.example.com/`))));
+    assert.deepStrictEqual((await complete.decodeUrlsBatch(BATCH_PARAMS)).map(result => result.decoded_url),
+        ['https://a.example.com/', 'https://b.example.com/', 'https://c.example.com/']);
+
+    const short = batchDecoder(() => batchResponse(['a', 'b'].map(id => decodedRow(`https://${id}.example.com/`))));
+    const results = await short.decodeUrlsBatch(BATCH_PARAMS);
+    assert.ok(results.every(result => !result.status && result.missing), JSON.stringify(results));
+});
+
+check('only articles missing from a batch response are decoded again one by one', async () => {
+    const decoder = batchDecoder(() => batchResponse([decodedRow('https://a.example.com/', '1'), decodedRow('https://c.example.com/', '3')]));
+    const results = await decoder.decodeGoogleNewsUrls(BATCH_IDS.map(id => `https://news.google.com/rss/articles/${id}`));
+    assert.deepStrictEqual(results.map(result => result.decoded_url), ['https://a.example.com/', 'https://single.example.com/1', 'https://c.example.com/']);
+    assert.deepStrictEqual(decoder.singles, [BATCH_IDS[1]]);
+    assert.strictEqual(decoder.posts.length, 1);
+});
+
+check('a failed batch POST is not repeated article by article', async () => {
+    const decoder = batchDecoder(() => { throw httpError(503); });
+    const results = await decoder.decodeGoogleNewsUrls(BATCH_IDS.map(id => `https://news.google.com/rss/articles/${id}`));
+    assert.ok(results.every(result => !result.status && /503/.test(result.message)), JSON.stringify(results));
+    assert.deepStrictEqual(decoder.singles, []);
+});
+
+check('the per-article decode entry points go through the batched decoder', async () => {
+    const searcher = new IntegratedGoogleNewsSearcher();
+    const calls = [];
+    searcher.decoder.decodeGoogleNewsUrls = async (entries, options) => {
+        calls.push([entries.length, options.batchSize]);
+        return entries.map(entry => ({
+            status: true,
+            decoded_url: `https://www.example.com/${(typeof entry === 'string' ? entry : entry.url).split('/').pop()}`,
+            method: 'batchexecute',
+            batched: true
+        }));
+    };
+    const articles = ['a', 'b', 'c'].map(id => ({ title: `Story ${id}`, link: `https://news.google.com/rss/articles/${id}` }));
+    assert.strictEqual(await searcher.decodeArticleUrl(articles[0], 0), true);
+    assert.deepStrictEqual(await searcher.decodeArticlesInBatches(articles.slice(1), 2), [true, true]);
+    assert.deepStrictEqual(articles.map(article => article.realUrl), ['a', 'b', 'c'].map(id => `https://www.example.com/${id}`));
+    assert.deepStrictEqual(calls, [[1, 20], [2, 2]]);
+    assert.strictEqual(searcher.decodingStats.successful, 3);
+});
+
+// --- Decode cache ---
+
+// Point $XDG_CACHE_HOME at a temporary directory for the duration of fn
+async function withCacheHome(fn) {
+    const cacheHome = await fs.mkdtemp(path.join(os.tmpdir(), 'news-cache-'));
+    const previous = process.env.XDG_CACHE_HOME;
+    process.env.XDG_CACHE_HOME = cacheHome;
+    try {
+        return await fn(path.join(cacheHome, 'integrated-google-news-searcher'));
+    } finally {
+        if (previous === undefined) delete process.env.XDG_CACHE_HOME;
+        else process.env.XDG_CACHE_HOME = previous;
+        await fs.remove(cacheHome);
+    }
+}
+
+check('memory cache expires entries and evicts the oldest past maxEntries', async () => {
+    const cache = new MemoryDecodeCache({ ttl: 1000, maxEntries: 2 });
+    await cache.set('a', 'https://a.example.com/');
+    await cache.set('b', 'https://b.example.com/');
+    await cache.set('c', 'https://c.example.com/');
+    assert.strictEqual(await cache.get('a'), null);
+    assert.strictEqual((await cache.get('c')).url, 'https://c.example.com/');
+    assert.strictEqual(await cache.size(), 2);
+
+    cache.entries.get('b').timestamp -= 2000;
+    assert.strictEqual(await cache.get('b'), null);
+});
+
+check('JSON cache round-trips through a file in the user cache directory', async () => {
+    await withCacheHome(async cacheDir => {
+        const cache = createDecodeCache({ type: 'json' });
+        assert.strictEqual(cache.filePath, path.join(cacheDir, 'decode-cache.json'));
+        await cache.set('CBMiabc', 'https://www.example.com/story');
+        assert.ok(cache.saveTimer && !cache.saveTimer.hasRef(), 'a pending save must not keep the process alive');
+        await cache.save();
+
+        const reloaded = new JsonFileDecodeCache({ filePath: cache.filePath });
+        assert.strictEqual((await reloaded.get('CBMiabc')).url, 'https://www.example.com/story');
+        assert.strictEqual(await reloaded.size(), 1);
+    });
+});
+
+check('a JSON cache save still pending at exit is written synchronously', async () => {
+    await withCacheHome(async () => {
+        const cache = new JsonFileDecodeCache({ saveDelay: 60000 });
+        await cache.set('CBMiabc', 'https://www.example.com/story');
+        assert.ok(process.listeners('exit').includes(cache.flushOnExit));
+
+        cache.flushOnExit();
+        assert.ok(!process.listeners('exit').includes(cache.flushOnExit));
+        assert.strictEqual(cache.saveTimer, null);
+        assert.strictEqual((await fs.readJson(cache.filePath)).entries.CBMiabc.url, 'https://www.example.com/story');
+    });
+});
+
+check('SQLite cache round-trips when better-sqlite3 is installed and says so when it is not', async () => {
+    let installed = true;
+    try {
+        require.resolve('better-sqlite3');
+    } catch (error) {
+        installed = false;
+    }
+    if (!installed) {
+        assert.throws(() => createDecodeCache({ type: 'sqlite', filePath: ':memory:' }), /requires the optional "better-sqlite3" package/);
+        return;
+    }
+    const cache = createDecodeCache({ type: 'sqlite', filePath: ':memory:', maxEntries: 1 });
+    await cache.set('a', 'https://a.example.com/');
+    await cache.set('b', 'https://b.example.com/');
+    assert.strictEqual((await cache.get('b')).url, 'https://b.example.com/');
+    assert.strictEqual(await cache.size(), 1);
+    cache.close();
+});
+
+check('the decoder answers repeated network decodes from its cache', async () => {
+    const decoder = new GoogleNewsDecoder(null, { cache: { type: 'memory' } });
+    decoder.getDecodingParams = async base64Str => ({ status: true, signature: 'sig', timestamp: '1700000000', base64Str });
+    let decodes = 0;
+    decoder.decodeUrl = async () => {
+        decodes++;
+        return { status: true, decoded_url: 'https://www.example.com/story' };
+    };
+    const url = `https://news.google.com/rss/articles/${articleId('AU_yqLcached')}`;
+    assert.strictEqual((await decoder.decodeGoogleNewsUrl(url)).decoded_url, 'https://www.example.com/story');
+    const repeat = await decoder.decodeGoogleNewsUrl(url);
+    assert.strictEqual(repeat.method, 'cache');
+    assert.strictEqual(repeat.decoded_url, 'https://www.example.com/story');
+    assert.strictEqual(decodes, 1);
+});
+
+// --- Decoder circuit breaker ---
+
+function openBreaker() {
+    const breaker = new CircuitBreaker({ failureThreshold: 1, cooldown: 10 });
+    breaker.recordFailure();
+    breaker.openedAt = Date.now() - 20;
+    return breaker;
+}
+
+function stubbedDecoder(breaker, responses) {
+    const decoder = new GoogleNewsDecoder(null, {
+        circuitBreaker: breaker,
+        rateLimiter: { requestsPerSecond: 1000, burst: 1000 },
+        retry: { maxRetries: 2, baseDelay: 1, maxDelay: 1 }
+    });
+    decoder.client = {
+        request: async () => {
+            const next = responses.shift();
+            if (next instanceof Error) throw next;
+            return { status: 200, data: next, headers: {} };
+        }
+    };
+    return decoder;
+}
+
+check('half-open probe retries a 429 and closes the breaker when the retry succeeds', async () => {
+    const breaker = openBreaker();
+    const decoder = stubbedDecoder(breaker, [httpError(429), 'ok']);
+    const response = await decoder.request({ url: 'https://news.google.com/rss/articles/x' });
+    assert.strictEqual(response.data, 'ok');
+    assert.strictEqual(breaker.state, 'closed');
+    assert.strictEqual(breaker.probeInFlight, false);
+});
+
+check('half-open probe that keeps getting 429 reopens the breaker and releases the probe', async () => {
+    const breaker = openBreaker();
+    const decoder = stubbedDecoder(breaker, [httpError(429), httpError(429), httpError(429)]);
+    await assert.rejects(decoder.request({ url: 'https://news.google.com/rss/articles/x' }), /429/);
+    assert.strictEqual(breaker.state, 'open');
+    assert.strictEqual(breaker.probeInFlight, false);
+
+    // After the cooldown the next request probes again and recovers
+    breaker.openedAt = Date.now() - 20;
+    decoder.client = { request: async () => ({ status: 200, data: 'ok', headers: {} }) };
+    await decoder.request({ url: 'https://news.google.com/rss/articles/x' });
+    assert.strictEqual(breaker.state, 'closed');
+});
+
+check('half-open probe ending in a 404 lets the next request probe', async () => {
+    const breaker = openBreaker();
+    const decoder = stubbedDecoder(breaker, [httpError(404), 'ok']);
+    await assert.rejects(decoder.request({ url: 'https://news.google.com/rss/articles/x' }), /404/);
+    assert.strictEqual(breaker.state, 'half-open');
+    assert.strictEqual(breaker.probeInFlight, false);
+    await decoder.request({ url: 'https://news.google.com/rss/articles/x' });
+    assert.strictEqual(breaker.state, 'closed');
+});
+
+check('backoff waits between half and all of the capped exponential delay', async () => {
+    for (let attempt = 0; attempt < 8; attempt++) {
+        const ceiling = Math.min(8000, 1000 * Math.pow(2, attempt));
+        for (let i = 0; i < 50; i++) {
+            const delay = backoffDelay(attempt, 1000, 8000);
+            assert.ok(delay >= ceiling / 2 && delay <= ceiling, `attempt ${attempt}: ${delay}ms`);
+        }
+    }
+});
+
+// --- Proxy health ---
+
+function networkError(code, message = code) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+}
+
+check('publisher status codes and timeouts do not count against a proxy', async () => {
+    [httpError(403), httpError(429), httpError(502), httpError(503), networkError('ECONNABORTED', 'timeout of 15000ms exceeded')]
+        .forEach(error => assert.strictEqual(isProxyFailure(error), false, error.message));
+    [httpError(407), networkError('ECONNREFUSED'), networkError('ECONNRESET'), networkError('ERR_BAD_RESPONSE', 'Proxy tunnel closed')]
+        .forEach(error => assert.strictEqual(isProxyFailure(error), true, error.message));
+});
+
+check('a proxy stays healthy through publisher 403s but not through Google 429s', async () => {
+    const searcher = new IntegratedGoogleNewsSearcher();
+    searcher.proxyPool = new ProxyPool(['http://proxy.example:8080'], { failureThreshold: 2 });
+    const [proxy] = searcher.proxyPool.proxies;
+    const original = axios.request;
+    axios.request = async config => { throw httpError(config.url.includes('news.google.com') ? 429 : 403); };
+    try {
+        for (let i = 0; i < 3; i++) {
+            await assert.rejects(searcher.requestWithProxy({ method: 'get', url: 'https://www.example.com/story' }));
+        }
+        assert.strictEqual(proxy.failures, 0);
+        assert.ok(searcher.proxyPool.isHealthy(proxy, Date.now()));
+
+        for (let i = 0; i < 2; i++) {
+            await assert.rejects(searcher.fetchRss('https://news.google.com/rss/search?q=x'));
+        }
+        assert.ok(!searcher.proxyPool.isHealthy(proxy, Date.now()));
+    } finally {
+        axios.request = original;
+    }
+});
+
+check('least-failed takes turns between the proxies tied on the lowest failure rate', async () => {
+    const pool = new ProxyPool(['http://a.example:8080', 'http://b.example:8080', 'http://c.example:8080'], { strategy: 'least-failed' });
+    const picks = Array.from({ length: 6 }, () => {
+        const proxy = pool.select();
+        pool.recordSuccess(proxy);
+        return proxy.label;
+    });
+    assert.deepStrictEqual(picks, ['a', 'b', 'c', 'a', 'b', 'c'].map(host => `http://${host}.example:8080`));
+
+    pool.recordFailure(pool.proxies[0]);
+    const afterFailure = Array.from({ length: 4 }, () => pool.select().label);
+    assert.deepStrictEqual(afterFailure, ['b', 'c', 'b', 'c'].map(host => `http://${host}.example:8080`));
+});
+
+// --- Per-locale stats ---
+
+check('decoding stats are broken down by the edition each article came from', async () => {
+    const searcher = new IntegratedGoogleNewsSearcher();
+    const requested = [];
+    searcher.decoder.decodeGoogleNewsUrls = async entries => {
+        requested.push(...entries);
+        return entries.map(entry => (entry.url.endsWith('-ok')
+            ? { status: true, decoded_url: `https://www.example.com/${entry.url.split('/').pop()}` }
+            : { status: false, message: 'Failed to fetch data attributes from Google News.' }));
+    };
+    const edition = (language, country) => ({ language, country });
+    const articles = [
+        { title: 'Hindi story', link: 'https://news.google.com/rss/articles/hi-ok', edition: edition('hi', 'IN') },
+        { title: 'Hindi story that fails', link: 'https://news.google.com/rss/articles/hi-fail', edition: edition('hi', 'IN') },
+        { title: 'US story', link: 'https://news.google.com/rss/articles/us-ok', edition: edition('en', 'US') }
+    ];
+    const stats = searcher.createStats();
+    await searcher.decodeArticlesBatched(articles, stats);
+
+    assert.deepStrictEqual(stats.byLocale, {
+        'hi-IN': { total: 2, successful: 1, failed: 1 },
+        'en-US': { total: 1, successful: 1, failed: 0 }
+    });
+    assert.deepStrictEqual(requested[0], { url: articles[0].link, language: 'hi', country: 'IN' });
+    assert.deepStrictEqual(searcher.mergeStats([stats, stats]).byLocale['hi-IN'], { total: 4, successful: 2, failed: 2 });
+});
+
+check('the decoder asks Google for the article in its own edition', async () => {
+    const decoder = new GoogleNewsDecoder();
+    const urls = [];
+    decoder.request = async ({ url }) => {
+        urls.push(url);
+        return { status: 200, headers: {}, data: '<c-wiz><div jscontroller="x" data-n-a-sg="sig" data-n-a-ts="1700000000"></div></c-wiz>' };
+    };
+    const locale = decoder.getLocale({ language: 'hi', country: 'in' });
+    const params = await decoder.getDecodingParams('AU_yqLx', locale);
+    assert.strictEqual(params.status, true, params.message);
+    assert.match(urls[0], /\?hl=hi-IN&gl=IN&ceid=IN:hi$/);
+    assert.ok(decoder.buildDecodePayload('sig', '1700000000', 'AU_yqLx', locale).includes('"IN:hi"'));
+});
+
+// --- Canonical URLs ---
+
+function pageDeclaring(canonical, finalUrl) {
+    return new UrlCanonicalizer({
+        request: async config => ({
+            status: 200,
+            data: `<html><head><link rel="canonical" href="${canonical}"></head><body></body></html>`,
+            request: { res: { responseUrl: finalUrl || config.url } }
+        })
+    });
+}
+
+check('canonicalizer ignores a rel=canonical pointing at the home page', async () => {
+    const result = await pageDeclaring('https://www.example.com/').resolve('https://www.example.com/2024/05/story?utm_source=x');
+    assert.strictEqual(result.canonicalUrl, 'https://www.example.com/2024/05/story');
+    assert.strictEqual(result.source, 'normalized');
+    assert.strictEqual(result.rejected[0].reason, 'root-path');
+});
+
+check('canonicalizer ignores a rel=canonical on another registrable domain', async () => {
+    const result = await pageDeclaring('https://aggregator.net/story').resolve('https://news.example.co.uk/story');
+    assert.strictEqual(result.canonicalUrl, 'https://news.example.co.uk/story');
+    assert.strictEqual(result.rejected[0].reason, 'cross-domain');
+});
+
+check('canonicalizer accepts same-site and AMP cache canonicals', async () => {
+    const sameSite = await pageDeclaring('https://www.example.co.uk/news/story').resolve('https://amp.example.co.uk/news/story');
+    assert.strictEqual(sameSite.canonicalUrl, 'https://www.example.co.uk/news/story');
+    assert.strictEqual(sameSite.source, 'rel-canonical');
+
+    const cached = await pageDeclaring('https://www.example.com/story').resolve('https://www-example-com.cdn.ampproject.org/c/s/www.example.com/story');
+    assert.strictEqual(cached.canonicalUrl, 'https://www.example.com/story');
+});
+
+check('screenshots capture the decoded URL, not the canonical one', async () => {
+    const searcher = new IntegratedGoogleNewsSearcher();
+    let captured = null;
+    searcher.screenshotService.batchCapture = async items => {
+        captured = items;
+        return { results: [], summary: { successful: 0, total: items.length, suspect: 0 } };
+    };
+    const article = {
+        title: 'Story',
+        link: 'https://news.google.com/rss/articles/x',
+        realUrl: 'https://www.example.com/story?id=1',
+        canonicalUrl: 'https://www.example.com/story'
+    };
+    await searcher.captureArticleScreenshots([article], 1);
+    assert.strictEqual(captured[0].decodedUrl, article.realUrl);
+});
+
+// --- Publisher registry ---
+
+check('registrable domains follow the public suffix list', async () => {
+    assert.strictEqual(getRegistrableDomain('news.bbc.co.uk'), 'bbc.co.uk');
+    assert.strictEqual(getRegistrableDomain('edition.cnn.com'), 'cnn.com');
+    assert.strictEqual(getRegistrableDomain('www.abc.net.au'), 'abc.net.au');
+    assert.strictEqual(getRegistrableDomain('someone.blogspot.com'), 'someone.blogspot.com');
+    assert.strictEqual(getRegistrableDomain('127.0.0.1'), '127.0.0.1');
+});
+
+check('publisher registry matches hosts most specific first and source names by alias', async () => {
+    const registry = PublisherRegistry.from({ domain: 'example.com', name: 'Example Times', aliases: ['example'] });
+    assert.strictEqual(registry.findByHost('finance.yahoo.com').domain, 'finance.yahoo.com');
+    assert.strictEqual(registry.findByHost('news.yahoo.com').domain, 'yahoo.com');
+    assert.strictEqual(registry.findByHost('www.bbc.co.uk').domain, 'bbc.com');
+    assert.strictEqual(registry.findByHost('unknown.example.org'), null);
+
+    assert.strictEqual(registry.findBySource('Reuters UK').domain, 'reuters.com');
+    assert.strictEqual(registry.findBySource('Yahoo Finance').domain, 'finance.yahoo.com');
+    assert.strictEqual(registry.findBySource('Example Times').domain, 'example.com');
+
+    const searcher = new IntegratedGoogleNewsSearcher();
+    assert.strictEqual(searcher.extractDomainFromUrl('https://news.bbc.co.uk/story'), 'bbc.com');
+    assert.strictEqual(searcher.extractDomainFromUrl('https://www.smallpaper.co.uk/story'), 'smallpaper.co.uk');
+});
+
+// --- Source mappings ---
+
+// Four decodes of "Example Daily" articles onto example-daily.com promote the mapping
+function learnExampleDaily(store) {
+    for (let i = 0; i < 4; i++) {
+        store.record('Example Daily', 'https://www.exampledaily.com', 'example-daily.com');
+    }
+}
+
+check('learned source mappings stay in memory unless persistence is asked for', async () => {
+    await withCacheHome(async cacheDir => {
+        const store = new SourceMappingStore();
+        learnExampleDaily(store);
+        assert.strictEqual(store.filePath, null);
+        assert.strictEqual(store.saveTimer, null);
+        assert.strictEqual(store.lookup('example daily'), 'example-daily.com');
+        assert.strictEqual(store.lookup('Example Daily Online', 'https://exampledaily.com/'), 'example-daily.com');
+        assert.strictEqual(await fs.pathExists(cacheDir), false);
+
+        assert.strictEqual(createSourceMappingStore(false), null);
+        assert.strictEqual(new IntegratedGoogleNewsSearcher().sourceMappings.filePath, null);
+    });
+});
+
+check('persisted source mappings live in the user cache directory and reload', async () => {
+    await withCacheHome(async cacheDir => {
+        const store = createSourceMappingStore(true);
+        assert.strictEqual(store.filePath, path.join(cacheDir, 'source-mappings.json'));
+        learnExampleDaily(store);
+        assert.ok(store.saveTimer && !store.saveTimer.hasRef(), 'a pending save must not keep the process alive');
+        await store.save();
+
+        assert.strictEqual(new SourceMappingStore({ filePath: store.filePath }).lookup('Example Daily'), 'example-daily.com');
+    });
+});
+
+// --- Story clustering ---
+
+function storyArticles(scores) {
+    const titles = [
+        'Central bank raises interest rates to fight inflation',
+        'Central bank raises interest rates again to fight stubborn inflation',
+        'Central bank raises interest rates to fight inflation, markets slide'
+    ];
+    return titles.map((title, i) => ({
+        title,
+        description: '',
+        link: `https://news.google.com/rss/articles/${i}`,
+        pubDate: new Date(Date.UTC(2024, 0, 1 + i)),
+        ...(scores ? { score: { total: scores[i] } } : {})
+    }));
+}
+
+check('both clustering methods group rewrites of one story and leave other stories apart', async () => {
+    const articles = [...storyArticles(null), { title: 'Local team wins championship in overtime thriller', description: '' }];
+    for (const method of ['tfidf', 'minhash']) {
+        const clusters = new StoryClusterer({ method }).cluster(articles);
+        assert.deepStrictEqual(clusters.map(cluster => cluster.size), [3, 1], method);
+        assert.deepStrictEqual(clusters[0].members, articles.slice(0, 3), method);
+    }
+    assert.throws(() => new StoryClusterer({ method: 'kmeans' }), /Unknown clustering method "kmeans"/);
+});
+
+check('tag mode keeps every article and marks the members of one story', async () => {
+    const searcher = new IntegratedGoogleNewsSearcher();
+    const articles = [...storyArticles(null), { title: 'Local team wins championship in overtime thriller', description: '' }];
+    const tagged = searcher.clusterArticles(articles, { cluster: 'tag' });
+    assert.strictEqual(tagged.length, 4);
+    assert.ok(tagged[0].clusterId && tagged.slice(0, 3).every(article => article.clusterId === tagged[0].clusterId));
+    assert.notStrictEqual(tagged[3].clusterId, tagged[0].clusterId);
+    assert.strictEqual(tagged.filter(article => article.isClusterRepresentative).length, 2);
+    assert.deepStrictEqual(tagged.map(article => article.clusterSize), [3, 3, 3, 1]);
+});
+
+// --- Related coverage ---
+
+check('related coverage drops links to other results and keeps its own decoding stats', async () => {
+    const searcher = new IntegratedGoogleNewsSearcher();
+    const realUrls = {
+        'https://news.google.com/rss/articles/b': 'https://www.other.com/story',
+        'https://news.google.com/rss/articles/c': 'https://www.third.com/story'
+    };
+    searcher.decodeArticlesBatched = async (entries, stats) => {
+        stats.total += entries.length;
+        stats.successful += entries.length;
+        entries.forEach(entry => { entry.realUrl = realUrls[entry.link]; });
+    };
+    const articles = [
+        { title: 'A', link: 'https://news.google.com/rss/articles/a', realUrl: 'https://www.example.com/story', relatedCoverage: [] },
+        { title: 'B', link: 'https://news.google.com/rss/articles/b', realUrl: 'https://www.other.com/story', relatedCoverage: [] }
+    ];
+    articles[0].relatedCoverage = [
+        { title: 'B', link: 'https://news.google.com/rss/articles/b', source: 'Other' },
+        { title: 'C', link: 'https://news.google.com/rss/articles/c', source: 'Third' }
+    ];
+    articles.forEach(article => { article.canonicalUrl = searcher.canonicalizer.normalize(article.realUrl); });
+    const stats = searcher.createStats();
+    await searcher.decodeRelatedCoverage(articles, stats);
+
+    assert.deepStrictEqual(articles[0].relatedCoverage.map(entry => entry.title), ['C']);
+    assert.strictEqual(stats.total, 0);
+    assert.strictEqual(stats.related.total, 2);
+    assert.strictEqual(searcher.mergeStats([stats, stats]).related.total, 4);
+});
+
+// --- Metadata enrichment ---
+
+check('metadata comes from the most reliable source for each field and records it', async () => {
+    const html = `<!DOCTYPE html><html lang="en-gb"><head>
+        <script type="application/ld+json">{ "broken": </script>
+        <script type="application/ld+json">{
+            "@context": "https://schema.org",
+            "@type": "NewsArticle",
+            "headline": "Harbour reopens after storm",
+            "author": [{ "@type": "Person", "name": "Jane Doe" }],
+            "datePublished": "2024-03-01T08:00:00Z"
+        }</script>
+        <meta property="og:title" content="Harbour reopens | Example News">
+        <meta property="og:image" content="/images/harbour.jpg">
+        <meta property="article:section" content="Local">
+        <meta name="description" content="Boats are back in the water.">
+        <meta name="author" content="Someone Else">
+    </head><body><p>Story</p></body></html>`;
+    const metadata = new ArticleMetadataExtractor().extract(html, 'https://www.example.com/news/harbour');
+    assert.deepStrictEqual(metadata.provenance, {
+        title: 'json-ld',
+        description: 'meta',
+        authors: 'json-ld',
+        section: 'opengraph',
+        publishedAt: 'json-ld',
+        image: 'opengraph',
+        language: 'html'
+    });
+    assert.strictEqual(metadata.title, 'Harbour reopens after storm');
+    assert.deepStrictEqual(metadata.authors, ['Jane Doe']);
+    assert.strictEqual(metadata.publishedAt, '2024-03-01T08:00:00.000Z');
+    assert.strictEqual(metadata.image, 'https://www.example.com/images/harbour.jpg');
+    assert.strictEqual(metadata.language, 'en-GB');
+});
+
+// --- Content extraction ---
+
+check('content extractor returns null when no candidate scores above zero', async () => {
+    const extractor = new ContentExtractor();
+    const html = '<html><body><ul><li><p>A long line of list text that is scored like a paragraph</p></li></ul></body></html>';
+    assert.strictEqual(extractor.extract(html, 'https://example.com/a'), null);
+});
+
+check('a page without an extractable body is enriched without an error', async () => {
+    const searcher = new IntegratedGoogleNewsSearcher();
+    searcher.fetchArticlePage = async url => ({
+        html: '<html><body><ul><li><p>A long line of list text that is scored like a paragraph</p></li></ul></body></html>',
+        finalUrl: url,
+        status: 200
+    });
+    const article = { title: 'List page', realUrl: 'https://example.com/list' };
+    await searcher.enrichArticles([article], { extractContent: true });
+    assert.strictEqual(article.content, null);
+    assert.strictEqual(article.enrichmentError, undefined);
+});
+
+check('content extractor still finds an ordinary article body', async () => {
+    const extractor = new ContentExtractor();
+    const paragraphs = Array.from({ length: 4 }, (_, i) => `<p>Paragraph ${i + 1} of the story, with enough words, commas and detail to be scored as body text.</p>`).join('');
+    const content = extractor.extract(`<html><body><article><h1>Title</h1>${paragraphs}</article></body></html>`, 'https://example.com/a');
+    assert.ok(content);
+    assert.strictEqual(content.paragraphs.length, 4);
+});
+
+// --- Page classification ---
+
+check('page classifier labels challenge, consent, paywall and error pages', async () => {
+    const classifier = new PageClassifier();
+    const filler = '<p>The harbour reopened on Friday after the storm. Boats are back in the water and traders are counting the cost.</p>'.repeat(20);
+    const label = (html, context) => classifier.classifyHtml(html, context).label;
+
+    assert.strictEqual(label(`<html><head><title>Harbour reopens</title></head><body>${filler}</body></html>`), 'ok');
+    assert.strictEqual(label('<html><head><title>Just a moment...</title></head><body>Checking your browser</body></html>', { status: 403 }), 'captcha');
+    assert.strictEqual(label('<html><body>Before you continue to Google</body></html>', { finalUrl: 'https://consent.google.com/ml?continue=x' }), 'consent');
+    assert.strictEqual(label(`<html><head><script type="application/ld+json">{"@type":"NewsArticle","isAccessibleForFree":false}</script></head><body>${filler}</body></html>`), 'paywall');
+    assert.strictEqual(label('<html><body>Internal Server Error</body></html>', { status: 500 }), 'error');
+    assert.strictEqual(classifier.classifyText('Subscribe to continue reading this story today').label, 'paywall');
+    assert.strictEqual(classifier.classifyHtml('<html><body>Before you continue</body></html>').blocked, true);
+});
+
+check('enrichment labels every page, including pages without a body and failed fetches', async () => {
+    const searcher = new IntegratedGoogleNewsSearcher();
+    searcher.fetchArticlePage = async url => {
+        if (url.includes('blocked')) {
+            const error = httpError(403);
+            error.response.data = '<html><head><title>Just a moment...</title></head><body></body></html>';
+            throw error;
+        }
+        return { html: '<html><body><ul><li><p>A long line of list text that is scored like a paragraph</p></li></ul></body></html>', finalUrl: url, status: 200 };
+    };
+    const articles = [
+        { title: 'List page', realUrl: 'https://example.com/list' },
+        { title: 'Blocked page', realUrl: 'https://example.com/blocked' }
+    ];
+    await searcher.enrichArticles(articles, { extractContent: true });
+    assert.strictEqual(articles[0].content, null);
+    assert.strictEqual(articles[0].access.label, 'ok');
+    assert.strictEqual(articles[1].access.label, 'captcha');
+    assert.strictEqual(articles[1].access.blocked, true);
+});
+
+check('captures are classified from the article page without OCR unless asked for', async () => {
+    const ocrService = {
+        extractTextFromImage: async () => ({ success: true, fullText: 'Before you continue to the site, accept all cookies' })
+    };
+    const searcher = new IntegratedGoogleNewsSearcher(null, { ocrService });
+    const fetched = [];
+    searcher.fetchArticlePage = async url => {
+        fetched.push(url);
+        return { html: '<html><head><title>Just a moment...</title></head><body></body></html>', status: 403, finalUrl: url };
+    };
+    const result = { url: 'https://www.example.com/story', filePath: '/tmp/story.jpeg' };
+    const article = { title: 'Story' };
+
+    assert.strictEqual((await searcher.classifyCapture(result, article)).label, 'captcha');
+    assert.strictEqual((await searcher.classifyCapture(result, article)).label, 'captcha');
+    assert.deepStrictEqual(fetched, ['https://www.example.com/story']);
+    assert.strictEqual(article.access.label, 'captcha');
+
+    const ocr = await searcher.classifyCapture(result, article, { ocrClassify: true });
+    assert.strictEqual(ocr.label, 'consent');
+    assert.strictEqual(ocr.source, 'ocr');
+});
+
+// --- Ranking ---
+
+check('date sort puts undated and unparseable articles last in their original order', async () => {
+    const searcher = new IntegratedGoogleNewsSearcher();
+    const articles = [
+        { title: 'Undated', description: '' },
+        { title: 'Oldest', description: '', pubDate: 'Mon, 01 Jan 2024 12:00:00 GMT' },
+        { title: 'Unparseable', description: '', pubDate: 'yesterday-ish' },
+        { title: 'Newest', description: '', pubDate: 'Wed, 03 Jan 2024 12:00:00 GMT' },
+        { title: 'Middle', description: '', pubDate: new Date(Date.UTC(2024, 0, 2)) }
+    ];
+    searcher.rankArticles(articles, 'news', { sort: 'date' });
+    assert.deepStrictEqual(articles.map(article => article.title), ['Newest', 'Middle', 'Oldest', 'Undated', 'Unparseable']);
+});
+
+check('relevance sort puts the articles that match the query first', async () => {
+    const searcher = new IntegratedGoogleNewsSearcher();
+    const articles = [
+        { title: 'Local team wins championship in overtime', description: '', pubDate: new Date() },
+        { title: 'Harbour reopens after the storm', description: 'The harbour storm damage is repaired', pubDate: new Date() }
+    ];
+    searcher.rankArticles(articles, 'harbour storm', { sort: 'relevance' });
+    assert.strictEqual(articles[0].title, 'Harbour reopens after the storm');
+    assert.ok(articles[0].score.total > articles[1].score.total);
+});
+
+check('collapsed story is represented by its best-scored member', async () => {
+    const searcher = new IntegratedGoogleNewsSearcher();
+    const articles = storyArticles([0.4, 0.9, 0.2]);
+    const collapsed = searcher.clusterArticles(articles, { cluster: 'collapse' });
+    assert.strictEqual(collapsed.length, 1);
+    assert.strictEqual(collapsed[0], articles[1]);
+    assert.strictEqual(collapsed[0].cluster.size, 3);
+});
+
+check('collapsed story keeps the first member in the current order when unscored', async () => {
+    const searcher = new IntegratedGoogleNewsSearcher();
+    const articles = storyArticles(null).reverse();
+    const collapsed = searcher.clusterArticles(articles, { cluster: 'collapse' });
+    assert.strictEqual(collapsed.length, 1);
+    assert.strictEqual(collapsed[0], articles[0]);
+});
+
+check('score ties between cluster members go to the medoid', async () => {
+    const searcher = new IntegratedGoogleNewsSearcher();
+    const articles = storyArticles([0.5, 0.5, 0.5]);
+    const clusterer = searcher.clusterer;
+    const [cluster] = clusterer.cluster(articles);
+    const vectors = clusterer.tfidfVectors(articles.map(article => clusterer.tokenize(clusterer.getText(article))));
+    const centrality = i => articles.reduce((sum, _, j) => (i === j ? sum : sum + clusterer.similarity(vectors[i], vectors[j])), 0);
+    const medoid = [0, 1, 2].reduce((best, i) => (centrality(i) > centrality(best) ? i : best), 0);
+    assert.strictEqual(cluster.representative, articles[medoid]);
+});
+
+// --- Strict language filter ---
+
+const ENGLISH_HEADLINES = [
+    'Amazon Prime Day deals 2024: The best early discounts on Apple, Samsung and more',
+    'Macron dissolves parliament and calls snap elections after far-right surge',
+    'Bitcoin slides below $60,000 as Mt. Gox repayments loom',
+    'Coinbase stock jumps after SEC drops lawsuit',
+    'Ukraine war: Zelensky says Kyiv needs more air defence',
+    'Musk says Tesla will unveil robotaxi in October',
+    'Taylor Swift Eras Tour breaks box office records',
+    'Erdogan meets Scholz in Berlin amid tensions',
+    'Deutsche Bank posts surprise loss on Postbank litigation',
+    'Rishi Sunak concedes defeat as Labour wins landslide',
+    'Messi leads Inter Miami past Orlando City',
+    'Maduro declared winner of disputed Venezuela election',
+    'Nikkei plunges 12% in worst day since 1987',
+    'Volodymyr Zelensky fires army chief Zaluzhnyi',
+    'Zara owner Inditex reports record sales'
+];
+
+const FOREIGN_HEADLINES = [
+    'El Gobierno aprueba la subida del salario mínimo para el próximo año',
+    'Le gouvernement annonce une hausse du prix de l\'électricité dès le mois prochain',
+    'Die Bundesregierung beschließt neue Regeln für das Bürgergeld',
+    'Il governo approva la manovra: ecco cosa cambia per le pensioni'
+];
+
+function editionArticles(titles, language, country) {
+    return titles.map(title => ({ title, description: '', edition: { language, country } }));
+}
+
+check('strict language mode keeps real English headlines in an en-US feed', async () => {
+    const searcher = new IntegratedGoogleNewsSearcher();
+    const articles = editionArticles(ENGLISH_HEADLINES, 'en', 'US');
+    articles.forEach(article => searcher.detectArticleLanguage(article));
+    const wrong = articles.filter(article => article.detectedLanguage.language !== 'en').map(article => article.title);
+    assert.deepStrictEqual(wrong, []);
+    assert.strictEqual(searcher.filterByLanguage(articles, 'en').length, ENGLISH_HEADLINES.length);
+    articles.forEach(article => assert.deepStrictEqual(searcher.getOcrLanguageHints(article), ['en']));
+});
+
+check('strict language mode drops other-language headlines from an en-US feed', async () => {
+    const searcher = new IntegratedGoogleNewsSearcher();
+    const articles = editionArticles(FOREIGN_HEADLINES, 'en', 'US');
+    articles.forEach(article => searcher.detectArticleLanguage(article));
+    assert.deepStrictEqual(articles.map(article => article.detectedLanguage.language), ['es', 'fr', 'de', 'it']);
+    assert.strictEqual(searcher.filterByLanguage(articles, 'en').length, 0);
+});
+
+// --- Screenshot capture (mock provider) ---
+
+const CAPTURE_OPTIONS = { viewport_width: 800, viewport_height: 600, delay: 0 };
+
+// A ScreenshotService on the mock provider that writes into a temporary directory
+async function withMockService(mockConfig, fn) {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'news-offline-'));
+    try {
+        const service = new ScreenshotService({ provider: 'mock', providers: { mock: mockConfig } });
+        service.screenshotDir = path.join(dir, 'raw');
+        service.processedDir = path.join(dir, 'processed');
+        service.tempDir = path.join(dir, 'temp');
+        await fs.ensureDir(service.screenshotDir);
+        return await fn(service, dir);
+    } finally {
+        await fs.remove(dir);
+    }
+}
+
+check('screenshot service picks providers by name, caches them and reports unknown ones', async () => {
+    await withMockService({}, async service => {
+        assert.ok(service.getProvider() instanceof MockScreenshotProvider);
+        assert.strictEqual(service.getProvider('mock'), service.getProvider());
+        const custom = { name: 'custom', label: 'Custom', capture: async () => null };
+        assert.strictEqual(service.getProvider(custom), custom);
+
+        const result = await service.captureScreenshot('https://example.com/a', 'a', { ...CAPTURE_OPTIONS, provider: 'nope' });
+        assert.strictEqual(result.success, false);
+        assert.match(result.error, /Unknown screenshot provider "nope"/);
+    });
+});
+
+check('a capture whose provider reports the rendered HTML is classified from it', async () => {
+    const url = 'https://www.example.com/story';
+    const pages = { [url]: '<html><body><h1>Before you continue</h1><button>Accept all</button></body></html>' };
+    await withMockService({ pages }, async service => {
+        const result = await service.captureScreenshot(url, 'story', CAPTURE_OPTIONS);
+        assert.strictEqual(result.success, true, result.error);
+        assert.strictEqual(result.metadata.html, pages[url]);
+
+        const searcher = new IntegratedGoogleNewsSearcher();
+        searcher.fetchArticlePage = async () => { throw new Error('the page must not be fetched again'); };
+        const access = await searcher.classifyCapture(result, { title: 'Story' });
+        assert.strictEqual(access.label, 'consent');
+    });
+});
+
+// --- Capture profiles ---
+
+check('capture profiles reach the provider unless profiles are turned off for the call', async () => {
+    await withMockService({}, async service => {
+        const url = 'https://www.nytimes.com/2024/01/01/world/story.html';
+        const result = await service.captureScreenshot(url, 'nyt', CAPTURE_OPTIONS);
+        assert.strictEqual(result.profile, 'nytimes.com');
+        assert.strictEqual(result.metadata.injected.scrollToLoad, true);
+        assert.strictEqual(result.metadata.injected.css, true);
+
+        const plain = await service.captureScreenshot(url, 'nyt-plain', {
+            ...CAPTURE_OPTIONS,
+            profiles: false,
+            css: '.promo-banner { display: none; }',
+            clickSelectors: ['#accept-cookies']
+        });
+        assert.strictEqual(plain.profile, null);
+        assert.strictEqual(plain.metadata.injected.scrollToLoad, false);
+        assert.deepStrictEqual(plain.metadata.injected.clickSelectors, ['#accept-cookies']);
+        const { options } = service.getProvider().captures.pop();
+        assert.ok(options.css.includes('.promo-banner { display: none; }'));
+        assert.ok(options.script.includes('#accept-cookies'));
+    });
+});
+
+// --- Post-processing ---
+
+check('post-processing writes the fold, thumbnails and every requested format', async () => {
+    await withMockService({}, async service => {
+        service.processor = new ScreenshotProcessor({ outputDir: service.processedDir, tempDir: service.tempDir });
+        const result = await service.captureScreenshot('https://www.example.com/story', 'story', CAPTURE_OPTIONS);
+        await service.postProcessCapture(result, {
+            postProcess: { thumbnails: [{ width: 320, height: 180 }], formats: ['webp', 'avif'], tiles: false, quality: 20 }
+        });
+        assert.strictEqual(result.postProcessError, undefined);
+        assert.deepStrictEqual(result.derivatives.map(derivative => derivative.type), ['fold', 'thumbnail', 'webp', 'avif']);
+        assert.strictEqual(result.derivatives[3].format, 'avif');
+        const files = await fs.readdir(service.processedDir);
+        assert.strictEqual(result.derivatives.length, files.length);
+    });
+});
+
+// --- Blank and duplicate captures ---
+
+function captureArticles(count, host = index => `site${index}.example.com`) {
+    return Array.from({ length: count }, (_, index) => ({
+        id: `article_${index}`,
+        title: `Article ${index}`,
+        decodedUrl: `https://${host(index)}/story/${index}`
+    }));
+}
+
+// 800x600 page mock-up: a dark header and blocks whose layout depends on the seed
+async function writePage(filePath, seed) {
+    const blocks = Array.from({ length: 6 }, (_, i) => {
+        const x = ((seed * 97 + i * 131) % 600);
+        const y = 120 + ((seed * 53 + i * 71) % 420);
+        const w = 60 + ((seed * 29 + i * 43) % 140);
+        return `<rect x="${x}" y="${y}" width="${w}" height="${w / 2}" fill="#${(seed * 40 + i * 30).toString(16).padStart(2, '0').slice(-2)}3366"/>`;
+    }).join('');
+    const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="800" height="600"><rect width="800" height="600" fill="#f4f4f4"/><rect width="800" height="${60 + seed * 15}" fill="#202020"/>${blocks}</svg>`;
+    await sharp(Buffer.from(svg)).png().toFile(filePath);
+    return filePath;
+}
+
+// A mostly white text page: a headline bar and two short lines of word blocks in a narrow column
+async function writeTextPage(filePath) {
+    const words = [];
+    for (let i = 0; i < 2; i++) {
+        for (let x = 340; x < 900; x += 70) {
+            words.push(`<rect x="${x}" y="${220 + i * 26}" width="${40 + (x * 7 + i * 13) % 25}" height="8" fill="#222"/>`);
+        }
+    }
+    const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="1280" height="800"><rect width="1280" height="800" fill="#ffffff"/><rect x="340" y="140" width="420" height="26" fill="#111"/>${words.join('')}</svg>`;
+    await sharp(Buffer.from(svg)).png().toFile(filePath);
+    return filePath;
+}
+
+check('a mostly white page with a few lines of text is not blank', async () => {
+    const fixturesDir = await fs.mkdtemp(path.join(os.tmpdir(), 'news-fixtures-'));
+    try {
+        const fingerprinter = new ImageFingerprinter();
+        const text = await fingerprinter.fingerprint(await writeTextPage(path.join(fixturesDir, 'text.png')));
+        assert.ok(text.stats.uniformity >= fingerprinter.blankUniformity, `uniformity ${text.stats.uniformity}`);
+        assert.strictEqual(text.blank, false);
+
+        const blank = path.join(fixturesDir, 'blank.png');
+        await sharp({ create: { width: 1280, height: 800, channels: 3, background: '#ffffff' } }).png().toFile(blank);
+        assert.strictEqual((await fingerprinter.fingerprint(blank)).blank, true);
+    } finally {
+        await fs.remove(fixturesDir);
+    }
+});
+
+check('blank and duplicate captures are flagged and do not count toward the target', async () => {
+    const fixturesDir = await fs.mkdtemp(path.join(os.tmpdir(), 'news-fixtures-'));
+    try {
+        const blank = path.join(fixturesDir, 'blank.png');
+        await sharp({ create: { width: 800, height: 600, channels: 3, background: '#ffffff' } }).png().toFile(blank);
+        const pages = await Promise.all([1, 2, 3].map(seed => writePage(path.join(fixturesDir, `page${seed}.png`), seed)));
+        const articles = captureArticles(5);
+        const fixtures = {
+            [articles[0].decodedUrl]: pages[0],
+            [articles[1].decodedUrl]: blank,
+            [articles[2].decodedUrl]: pages[0],
+            [articles[3].decodedUrl]: pages[1],
+            [articles[4].decodedUrl]: pages[2]
+        };
+
+        await withMockService({ fixtures }, async service => {
+            const { results, summary } = await service.batchCapture(articles, { ...CAPTURE_OPTIONS, concurrency: 1, targetCount: 3 });
+            assert.deepStrictEqual(results.map(result => result.quality.reasons), [[], ['blank'], ['duplicate'], [], []]);
+            assert.strictEqual(results[2].quality.duplicateOf, results[0].fileName);
+            assert.strictEqual(summary.suspect, 2);
+            assert.strictEqual(summary.targetReached, true);
+        });
+    } finally {
+        await fs.remove(fixturesDir);
+    }
+});
+
+// --- Concurrent capture ---
+
+check('batch capture stops launching once the target is reached', async () => {
+    await withMockService({ latency: 20, failUrls: ['site1.example.com'] }, async service => {
+        const provider = service.getProvider();
+        const { results, summary } = await service.batchCapture(captureArticles(10), { ...CAPTURE_OPTIONS, concurrency: 2, targetCount: 3 });
+        assert.strictEqual(summary.targetReached, true);
+        assert.ok(summary.successful >= 3);
+        assert.ok(results.some(result => !result.success && /Mock capture failure/.test(result.error)));
+        assert.ok(provider.captures.length < 10, `${provider.captures.length} captures started`);
+        assert.deepStrictEqual(results.map(result => result.index), [...results.map(result => result.index)].sort((a, b) => a - b));
+    });
+});
+
+check('aborting a batch cancels captures in flight without counting them as failures', async () => {
+    await withMockService({ latency: 200 }, async service => {
+        const controller = new AbortController();
+        setTimeout(() => controller.abort(), 30);
+        const { results, summary } = await service.batchCapture(captureArticles(6), { ...CAPTURE_OPTIONS, concurrency: 2, signal: controller.signal });
+        assert.strictEqual(results.length, 0);
+        assert.strictEqual(summary.failed, 0);
+        assert.strictEqual(summary.cancelled, 2);
+        assert.strictEqual(service.getProvider().captures.length, 2);
+        assert.deepStrictEqual(await fs.readdir(service.screenshotDir), []);
+    });
+});
+
+check('worker pool keeps the per-key limit and stop() cancels work in flight', async () => {
+    const pool = new WorkerPool({ concurrency: 3, perKeyConcurrency: 1, key: item => item.host });
+    const running = new Map();
+    let overlap = false;
+    const items = ['a', 'a', 'b', 'a', 'c'].map(host => ({ host }));
+    const outcomes = [];
+    for await (const outcome of pool.run(items, async item => {
+        running.set(item.host, (running.get(item.host) || 0) + 1);
+        if (running.get(item.host) > 1) overlap = true;
+        await new Promise(resolve => setTimeout(resolve, 5));
+        running.set(item.host, running.get(item.host) - 1);
+        return item.host;
+    })) {
+        outcomes.push(outcome);
+    }
+    assert.strictEqual(overlap, false);
+    assert.strictEqual(outcomes.length, items.length);
+
+    const stopping = new WorkerPool({ concurrency: 2 });
+    const stopped = [];
+    for await (const outcome of stopping.run([1, 2, 3, 4], (item, index, signal) => new Promise((resolve, reject) => {
+        if (item === 1) return resolve(item);
+        signal.addEventListener('abort', () => reject(new Error('aborted')), { once: true });
+    }))) {
+        stopped.push(outcome);
+        if (outcome.value === 1) stopping.stop();
+    }
+    assert.deepStrictEqual(stopped.map(outcome => [outcome.index, Boolean(outcome.cancelled)]), [[0, false], [1, true]]);
+});
+
+async function main() {
+    let failed = 0;
+    for (const { name, fn } of checks) {
+        try {
+            await quietly(fn);
+            console.log(`✅ ${name}`);
+        } catch (error) {
+            failed++;
+            console.log(`❌ ${name}\n   ${error.stack}`);
+        }
+    }
+    console.log(`\n${checks.length - failed}/${checks.length} checks passed`);
+    process.exitCode = failed ? 1 : 0;
+}
+
+if (require.main === module) {
+    main();
+}
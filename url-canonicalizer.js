@@ -0,0 +1,193 @@
+// url-canonicalizer.js - Resolve decoded article URLs to canonical publisher URLs
+const axios = require('axios');
+const cheerio = require('cheerio');
+const { URL } = require('url');
+const { getRegistrableDomain } = require('./publisher-registry');
+
+// Query parameters that only carry tracking/attribution and never change the page
+const TRACKING_PARAMS = [
+    /^utm_/i, /^fbclid$/i, /^gclid$/i, /^dclid$/i, /^gbraid$/i, /^wbraid$/i, /^msclkid$/i,
+    /^mc_(cid|eid)$/i, /^_ga$/i, /^_gl$/i, /^igshid$/i, /^yclid$/i, /^twclid$/i, /^ocid$/i,
+    /^cmpid$/i, /^smid$/i, /^smtyp$/i, /^ito$/i, /^ref$/i, /^ref_src$/i, /^taid$/i, /^guccounter$/i,
+    /^guce_referrer(_sig)?$/i, /^soc_src$/i, /^soc_trk$/i, /^__twitter_impression$/i, /^s_cid$/i,
+    /^ncid$/i, /^cid$/i, /^rss$/i, /^feedType$/i, /^oc$/i
+];
+
+// Query parameters that switch a page into its AMP rendering
+const AMP_PARAMS = [/^amp$/i, /^outputType$/i, /^amp_js_v$/i, /^usqp$/i];
+
+class UrlCanonicalizer {
+    /**
+     * @param {Object} [options]
+     * @param {Function} [options.request] - (axiosConfig) => Promise<response>, e.g. to route through a proxy pool
+     * @param {number} [options.timeout] - Page fetch timeout in ms (default 10000)
+     * @param {boolean} [options.stripWww] - Also drop a leading www. from hosts (default false)
+     */
+    constructor(options = {}) {
+        this.request = options.request || (config => axios.request(config));
+        this.timeout = options.timeout || 10000;
+        this.stripWww = options.stripWww || false;
+        this.resolved = new Map();
+    }
+
+    /**
+     * Offline normalization: https scheme, lower-case host without default port, no fragment,
+     * no tracking or AMP parameters, sorted query, no trailing slash
+     * @param {string} url - Absolute URL
+     * @returns {string} Normalized URL (the input unchanged if it cannot be parsed)
+     */
+    normalize(url) {
+        let parsed;
+        try {
+            parsed = new URL(url);
+        } catch (error) {
+            return url;
+        }
+        if (!['http:', 'https:'].includes(parsed.protocol)) {
+            return url;
+        }
+
+        parsed.protocol = 'https:';
+        parsed.hostname = parsed.hostname.toLowerCase().replace(/\.$/, '');
+        if (this.stripWww) {
+            parsed.hostname = parsed.hostname.replace(/^www\./, '');
+        }
+        parsed.port = '';
+        parsed.hash = '';
+
+        const kept = [...parsed.searchParams.entries()]
+            .filter(([key]) => !TRACKING_PARAMS.some(pattern => pattern.test(key)))
+            .filter(([key]) => !AMP_PARAMS.some(pattern => pattern.test(key)))
+            .sort(([a], [b]) => a.localeCompare(b));
+        parsed.search = '';
+        kept.forEach(([key, value]) => parsed.searchParams.append(key, value));
+
+        if (parsed.pathname.length > 1) {
+            parsed.pathname = parsed.pathname.replace(/\/+$/, '') || '/';
+        }
+
+        const normalized = parsed.toString();
+        return parsed.pathname === '/' && !parsed.search ? normalized.replace(/\/$/, '') : normalized;
+    }
+
+    /**
+     * Best-effort rewrite of common AMP URL shapes to their regular article URL, used when the page
+     * could not be fetched: amp. subdomains, /amp/ path segments, trailing /amp and .amp.html
+     * @param {string} url - Absolute URL
+     * @returns {string} URL without AMP markers
+     */
+    stripAmp(url) {
+        let parsed;
+        try {
+            parsed = new URL(url);
+        } catch (error) {
+            return url;
+        }
+
+        parsed.hostname = parsed.hostname.replace(/^amp\./i, '');
+        // Google AMP cache: https://www-example-com.cdn.ampproject.org/c/s/www.example.com/path
+        if (/\.cdn\.ampproject\.org$/i.test(parsed.hostname)) {
+            const match = parsed.pathname.match(/^\/[a-z](?:\/s)?\/([^/]+)(\/.*)?$/i);
+            if (match) {
+                parsed.hostname = match[1];
+                parsed.pathname = match[2] || '/';
+            }
+        }
+        parsed.pathname = parsed.pathname
+            .replace(/^\/amp(?=\/)/i, '')
+            .replace(/\/amp\/?$/i, '')
+            .replace(/\.amp(\.html?)$/i, '$1')
+            .replace(/\/amp(\/|$)/i, '$1') || '/';
+
+        return parsed.toString();
+    }
+
+    /**
+     * Fetch the page (following redirects and shorteners) and read rel=canonical / og:url.
+     * Declarations pointing at a bare home page or at another registrable domain are ignored.
+     * @param {string} url - Decoded article URL
+     * @returns {Promise<Object>} { canonicalUrl, finalUrl, source: 'rel-canonical' | 'og:url' | 'redirect' | 'normalized' | 'heuristic', rejected?, error? }
+     */
+    async resolve(url) {
+        if (this.resolved.has(url)) {
+            return this.resolved.get(url);
+        }
+
+        let result;
+        try {
+            const response = await this.request({
+                method: 'get',
+                url,
+                maxRedirects: 10,
+                timeout: this.timeout,
+                responseType: 'text',
+                maxContentLength: 5 * 1024 * 1024,
+                headers: {
+                    'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/129.0.0.0 Safari/537.36',
+                    'Accept': 'text/html,application/xhtml+xml'
+                }
+            });
+
+            const finalUrl = (response.request && response.request.res && response.request.res.responseUrl) || url;
+            const declared = this.readDeclaredCanonical(typeof response.data === 'string' ? response.data : '', finalUrl);
+
+            if (declared && declared.url) {
+                result = { canonicalUrl: this.normalize(declared.url), finalUrl, source: declared.source };
+            } else {
+                // AMP pages must declare rel=canonical, so an undeclared page is taken as-is
+                result = { canonicalUrl: this.normalize(finalUrl), finalUrl, source: finalUrl !== url ? 'redirect' : 'normalized' };
+            }
+            if (declared && declared.rejected) {
+                result.rejected = declared.rejected;
+            }
+        } catch (error) {
+            result = { canonicalUrl: this.normalize(this.stripAmp(url)), finalUrl: url, source: 'heuristic', error: error.message };
+        }
+
+        this.resolved.set(url, result);
+        return result;
+    }
+
+    readDeclaredCanonical(html, baseUrl) {
+        if (!html) return null;
+        const $ = cheerio.load(html);
+        const candidates = [
+            { source: 'rel-canonical', value: $('link[rel="canonical"]').attr('href') },
+            { source: 'og:url', value: $('meta[property="og:url"]').attr('content') }
+        ];
+
+        const rejected = [];
+        for (const candidate of candidates) {
+            if (!candidate.value) continue;
+            try {
+                const absolute = new URL(candidate.value.trim(), baseUrl);
+                if (!['http:', 'https:'].includes(absolute.protocol)) continue;
+                const reason = this.untrustedReason(absolute, baseUrl);
+                if (reason) {
+                    rejected.push({ source: candidate.source, url: absolute.toString(), reason });
+                    continue;
+                }
+                return { source: candidate.source, url: absolute.toString() };
+            } catch (error) {
+                // Malformed declaration, try the next one
+            }
+        }
+        return rejected.length ? { rejected } : null;
+    }
+
+    // Templates that point every article at the home page, or CMS setups that declare another
+    // site, would merge unrelated articles into one
+    untrustedReason(canonical, pageUrl) {
+        if (canonical.pathname.replace(/\/+$/, '') === '' && !canonical.search) {
+            return 'root-path';
+        }
+        // Pages served from the AMP cache declare their publisher's URL
+        const pageHost = new URL(this.stripAmp(pageUrl)).hostname;
+        if (getRegistrableDomain(canonical.hostname) !== getRegistrableDomain(pageHost)) {
+            return 'cross-domain';
+        }
+        return null;
+    }
+}
+
+module.exports = UrlCanonicalizer;